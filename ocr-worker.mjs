@@ -0,0 +1,74 @@
+// ocr-worker.mjs - Offline OCR child process for server-n8n-with-login.mjs
+// Runs in its own process so the engine's WASM heap and traineddata never count
+// against the server's memory limits. Forked on demand; exits when disconnected.
+import { createWorker } from 'tesseract.js';
+import { createRequire } from 'module';
+import path from 'path';
+
+const require = createRequire(import.meta.url);
+
+// Bundled English model - langPath on disk means tesseract.js never touches the network
+const LANG_PATH = path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+
+let workerPromise = null;
+
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker('eng', 1, {
+      langPath: LANG_PATH,
+      gzip: true,
+      cacheMethod: 'none' // Nothing written to the working directory
+    });
+  }
+  return workerPromise;
+}
+
+// Flatten tesseract's block tree into lines of words with pixel boxes
+function collectLines(blocks = []) {
+  const lines = [];
+
+  for (const block of blocks || []) {
+    for (const paragraph of block.paragraphs || []) {
+      for (const line of paragraph.lines || []) {
+        lines.push({
+          text: line.text.trim(),
+          confidence: line.confidence,
+          words: line.words.map(word => ({
+            text: word.text,
+            confidence: word.confidence,
+            bbox: word.bbox
+          }))
+        });
+      }
+    }
+  }
+
+  return lines;
+}
+
+process.on('message', async ({ id, image }) => {
+  try {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(Buffer.from(image, 'base64'), {}, { text: true, blocks: true });
+
+    process.send({
+      id,
+      result: {
+        text: data.text,
+        confidence: data.confidence,
+        lines: collectLines(data.blocks)
+      }
+    });
+  } catch (err) {
+    process.send({ id, error: err.message });
+  }
+});
+
+process.on('disconnect', async () => {
+  if (workerPromise) {
+    try {
+      await (await workerPromise).terminate();
+    } catch (e) {}
+  }
+  process.exit(0);
+});
@@ -7,6 +7,12 @@ import PQueue from 'p-queue';
 import ngrok from 'ngrok';
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { fork } from 'child_process';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import Ajv from 'ajv';
 
 // Apply stealth plugin
 puppeteer.use(StealthPlugin());
@@ -17,14 +23,61 @@ const MEMORY_LIMITS = {
   SCREENSHOT_QUALITY: 70,      // Higher quality for price visibility
   SCREENSHOT_WIDTH: 1366,      // Full width for price detection
   SCREENSHOT_HEIGHT: 768,
-  MAX_PAGES: 1,               // Single page only
+  CAPTURE_PADDING: 24,        // px around a captureSelector element
+  MAX_CAPTURE_HEIGHT: 6000,   // Tallest page area one capture covers (fullPage, segments, elements)
+  MAX_VIEWPORT_WIDTH: parseInt(process.env.MAX_VIEWPORT_WIDTH, 10) || 2560,   // Largest per-request viewport
+  MAX_VIEWPORT_HEIGHT: parseInt(process.env.MAX_VIEWPORT_HEIGHT, 10) || 1600,
+  MAX_DEVICE_SCALE_FACTOR: parseFloat(process.env.MAX_DEVICE_SCALE_FACTOR) || 2, // 2x = 4x the pixels
+  MAX_OUTPUT_BYTES: 15 * 1024 * 1024, // Largest html/mhtml/text snapshot returned (uncompressed)
   PAGE_TIMEOUT: 90000,        // Longer for login flows
   NAVIGATION_TIMEOUT: 90000,   // Longer for login flows
+  LOGIN_STEP_TIMEOUT: 10000,  // Default wait per login step (a step's `timeout` overrides)
   RESTART_THRESHOLD: 600,     // Lower threshold - 600MB
   MAX_REQUESTS_BEFORE_RESTART: 300, // Lower for memory safety
   GC_FREQUENCY: 5,            // More frequent GC
-  QUEUE_CONCURRENCY: 1,       // Process one at a time
-  REQUEST_TIMEOUT: 120000     // 2 minutes for login flows
+  QUEUE_CONCURRENCY: 1,       // Process one at a time (the slots bulk work may use)
+  INTERACTIVE_RESERVED_SLOTS: Math.max(0, parseInt(process.env.INTERACTIVE_RESERVED_SLOTS, 10) || 0), // Opt-in interactive-only slots on top (each adds a page)
+  REQUEST_TIMEOUT: 120000,    // 2 minutes for login flows
+  JOB_RETENTION: 3600000,     // Keep finished job results for 1 hour
+  MAX_STORED_JOBS: 500,       // Cap finished jobs held in memory
+  MAX_BATCH_SIZE: 100,        // URLs accepted per /scrape/batch call
+  CALLBACK_MAX_ATTEMPTS: 5,   // Webhook delivery attempts per job
+  CALLBACK_RETRY_BASE: 2000,  // Backoff doubles from 2s between attempts
+  CALLBACK_TIMEOUT: 15000,    // Per-attempt webhook timeout
+  MAX_JOB_EVENTS: 200,        // Progress events kept per job for SSE replay
+  SSE_HEARTBEAT: 15000,       // Keep-alive comment so tunnels don't drop idle streams
+  IDEMPOTENCY_WINDOW: 1800000 // Idempotency-Key replays return the original job for 30 minutes
+};
+
+// Queue lanes - interactive requests always dequeue ahead of bulk work
+const QUEUE_LANES = ['interactive', 'bulk'];
+const DEFAULT_LANE = 'bulk';
+
+// One pooled page per queue slot - a single page by default. INTERACTIVE_RESERVED_SLOTS opts in to extra
+// interactive-only slots so a long bulk batch can't hold every slot while interactive requests wait
+const TOTAL_SLOTS = MEMORY_LIMITS.QUEUE_CONCURRENCY + MEMORY_LIMITS.INTERACTIVE_RESERVED_SLOTS;
+
+// On-disk job store - append-only journal plus one result file per finished job
+const JOB_STORE_DIR = process.env.JOB_STORE_DIR || path.join(process.cwd(), 'data');
+const JOB_STORE = {
+  JOURNAL: path.join(JOB_STORE_DIR, 'jobs.journal'),
+  RESULTS_DIR: path.join(JOB_STORE_DIR, 'results'),
+  MAX_ATTEMPTS: 3,            // Interrupted runs before a job is failed for good
+  COMPACT_AFTER: 2000         // Journal records appended between compactions
+};
+
+// On-disk screenshot cache - keeps repeat requests off the browser and out of the heap
+const SCREENSHOT_CACHE = {
+  DIR: path.join(JOB_STORE_DIR, 'cache'),
+  TTL: parseInt(process.env.SCREENSHOT_CACHE_TTL, 10) || 3600000,  // 1 hour default
+  MAX_BYTES: (parseInt(process.env.SCREENSHOT_CACHE_MAX_MB, 10) || 200) * 1024 * 1024
+};
+
+// Offline OCR runs in a child process (ocr-worker.mjs) - forked on first use, stopped when idle
+const OCR_WORKER = {
+  SCRIPT: new URL('./ocr-worker.mjs', import.meta.url),
+  TIMEOUT: 60000,             // Per screenshot
+  IDLE_TIMEOUT: 300000        // Free the engine's memory after 5 minutes unused
 };
 
 let requestCount = 0;
@@ -65,6 +118,1182 @@ function isValidUrl(string) {
   }
 }
 
+// successUrlPattern must compile - checked at validation so a bad pattern can't break a login mid-job
+function isValidRegex(string) {
+  try {
+    new RegExp(string);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Find the login site whose domain matches the target URL
+function findLoginSite(url, loginInstructions = []) {
+  try {
+    const domain = new URL(url).hostname.replace('www.', '');
+    return loginInstructions.find(site => {
+      try {
+        const sd = new URL(site.url).hostname.replace('www.', '');
+        return domain.includes(sd) || sd.includes(domain);
+      } catch (e) {
+        console.warn(`Invalid login site URL: ${site.url}`);
+        return false;
+      }
+    }) || null;
+  } catch (e) {
+    console.warn(`Error parsing URL domain: ${e.message}`);
+    return null;
+  }
+}
+
+// `login` block for responses where no login ran, saying why
+function skippedLogin(url, loginInstructions = [], credentials = {}) {
+  const site = findLoginSite(url, loginInstructions);
+  const reason = !site ? 'no login site matches this URL'
+    : credentials[site.site.toLowerCase()] ? 'scrape failed before login' : `no credentials supplied for ${site.site}`;
+  return { attempted: false, succeeded: false, reason };
+}
+
+// `login` block for a /scrape request rejected before it ran - the body may be the malformed one at fault
+function rejectedLogin(body) {
+  const { url, loginInstructions, credentials } = body && typeof body === 'object' ? body : {};
+  const rejected = { attempted: false, succeeded: false, reason: 'request rejected before login' };
+  if (typeof url !== 'string' || !isValidUrl(url)) return rejected;
+  
+  try {
+    return skippedLogin(url, loginInstructions, credentials || {});
+  } catch (e) {
+    return rejected;
+  }
+}
+
+// Login site a scrape of `url` will actually log in to - it must match and have credentials
+function loginSiteWithCredentials(url, loginInstructions = [], credentials = {}) {
+  const site = findLoginSite(url, loginInstructions);
+  return site && credentials[site.site.toLowerCase()] ? site : null;
+}
+
+// Group batch entries by the login site (with credentials) that applies to them
+function groupBatchUrls(entries, loginInstructions = [], credentials = {}) {
+  const groups = new Map();
+  
+  for (const entry of entries) {
+    const loginSite = loginSiteWithCredentials(entry.url, loginInstructions, credentials);
+    const key = loginSite ? loginSite.site.toLowerCase() : 'no-login';
+    
+    if (!groups.has(key)) {
+      groups.set(key, { key, loginSite, items: [] });
+    }
+    groups.get(key).items.push(entry);
+  }
+  
+  return [...groups.values()];
+}
+
+// Published request schemas (served under /schemas) and their compiled validators
+const SCHEMA_FILES = {
+  scrape: 'scrape-request.schema.json',
+  batch: 'scrape-batch-request.schema.json'
+};
+
+// Ajv keyword -> error code our n8n workflows branch on
+const VALIDATION_CODES = {
+  required: 'MISSING_FIELD',
+  type: 'INVALID_TYPE',
+  enum: 'INVALID_VALUE',
+  const: 'INVALID_VALUE',
+  format: 'INVALID_URL',
+  additionalProperties: 'UNKNOWN_FIELD',
+  minimum: 'OUT_OF_RANGE',
+  maximum: 'OUT_OF_RANGE',
+  exclusiveMinimum: 'OUT_OF_RANGE',
+  exclusiveMaximum: 'OUT_OF_RANGE',
+  minLength: 'INVALID_VALUE',
+  minItems: 'INVALID_VALUE'
+};
+
+async function loadRequestSchemas() {
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+  ajv.addFormat('http-url', isValidUrl);
+  ajv.addFormat('regex', isValidRegex);
+
+  const schemas = {};
+  for (const [name, file] of Object.entries(SCHEMA_FILES)) {
+    const schemaPath = new URL(file, import.meta.url);
+    schemas[name] = JSON.parse(await fs.readFile(schemaPath, 'utf8'));
+    ajv.addSchema(schemas[name]);
+  }
+
+  const validators = {};
+  for (const [name, schema] of Object.entries(schemas)) {
+    validators[name] = ajv.getSchema(schema.$id);
+  }
+
+  return { schemas, validators };
+}
+
+// Turn ajv errors into { code, path, message } entries, one per problem
+function formatValidationErrors(errors = []) {
+  const seen = new Set();
+  const formatted = [];
+
+  for (const err of errors) {
+    // if/then, anyOf and propertyNames failures just repeat the nested errors
+    if (err.keyword === 'if' || err.keyword === 'anyOf' || err.keyword === 'propertyNames') continue;
+
+    let pointer = err.propertyName ? `${err.instancePath}/${err.propertyName}` : err.instancePath;
+    let code = VALIDATION_CODES[err.keyword] || 'INVALID_VALUE';
+    let message = err.message;
+
+    if (err.keyword === 'required') {
+      pointer = `${pointer}/${err.params.missingProperty}`;
+      message = 'is required';
+    } else if (err.keyword === 'additionalProperties') {
+      pointer = `${pointer}/${err.params.additionalProperty}`;
+      message = 'is not a known field';
+    } else if (err.keyword === 'enum') {
+      if (/\/steps\/\d+\/type$/.test(pointer)) code = 'UNKNOWN_STEP_TYPE';
+      message = `must be one of: ${err.params.allowedValues.join(', ')}`;
+    } else if (err.keyword === 'format' && err.params.format === 'regex') {
+      code = 'INVALID_VALUE';
+      message = 'must be a valid regular expression';
+    } else if (err.keyword === 'format') {
+      message = 'must be an http(s) URL';
+    }
+
+    const fieldPath = pointer ? pointer.slice(1).split('/').join('.') : '';
+    const key = `${code}:${fieldPath}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    formatted.push({ code, path: fieldPath, message: fieldPath ? `${fieldPath} ${message}` : message });
+  }
+
+  return formatted;
+}
+
+// Capture options and batch size are capped by server config (MEMORY_LIMITS), not the published schema
+function validateCaptureLimits(body) {
+  const errors = [];
+  const limit = (fieldPath, value, max) => {
+    if (value !== undefined && value > max) {
+      errors.push({ code: 'OUT_OF_RANGE', path: fieldPath, message: `${fieldPath} must be <= ${max} on this server` });
+    }
+  };
+  
+  limit('viewport.width', body.viewport && body.viewport.width, MEMORY_LIMITS.MAX_VIEWPORT_WIDTH);
+  limit('viewport.height', body.viewport && body.viewport.height, MEMORY_LIMITS.MAX_VIEWPORT_HEIGHT);
+  limit('deviceScaleFactor', body.deviceScaleFactor, MEMORY_LIMITS.MAX_DEVICE_SCALE_FACTOR);
+  
+  if (body.urls && body.urls.length > MEMORY_LIMITS.MAX_BATCH_SIZE) {
+    const message = `Too many URLs: ${body.urls.length} (max ${MEMORY_LIMITS.MAX_BATCH_SIZE})`;
+    errors.push({ code: 'OUT_OF_RANGE', path: 'urls', message });
+  }
+  
+  if (body.format === 'png' && body.quality !== undefined) {
+    errors.push({ code: 'INVALID_VALUE', path: 'quality', message: 'quality is not supported for png screenshots' });
+  }
+  
+  return errors;
+}
+
+// Checks a schema can't express: input steps must name a key in that site's credentials
+function validateValueKeys(body) {
+  const errors = [];
+  const credentials = body.credentials || {};
+
+  (body.loginInstructions || []).forEach((site, siteIndex) => {
+    const account = credentials[site.site.toLowerCase()];
+    if (!account) return; // No credentials - login is skipped, not an error
+
+    site.steps.forEach((step, stepIndex) => {
+      if ((step.type === 'input' || step.type === 'select') && step.valueKey && !(step.valueKey in account)) {
+        const fieldPath = `loginInstructions.${siteIndex}.steps.${stepIndex}.valueKey`;
+        errors.push({
+          code: 'UNKNOWN_VALUE_KEY',
+          path: fieldPath,
+          message: `${fieldPath} "${step.valueKey}" not found in credentials.${site.site.toLowerCase()}`
+        });
+      }
+    });
+  });
+
+  return errors;
+}
+
+// Callbacks are always signed - without a CALLBACK_SECRET there's nothing to sign them with
+function validateCallbackSecret(body) {
+  if (!body.callbackUrl || process.env.CALLBACK_SECRET) return [];
+  return [{
+    code: 'CALLBACK_SECRET_MISSING',
+    path: 'callbackUrl',
+    message: 'callbackUrl requires CALLBACK_SECRET to be set on the server so deliveries can be signed'
+  }];
+}
+
+// Canonical URL for duplicate detection: lowercase host, no fragment, sorted query
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+  parsed.searchParams.sort();
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.slice(0, -1);
+  }
+  return parsed.toString();
+}
+
+// JSON with sorted object keys so equivalent bodies hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Hash of the normalized request - identical scrapes share one execution
+function requestFingerprint(context) {
+  // Batch bodies hash as sent - their URLs aren't validated yet and may not parse
+  return crypto.createHash('sha256')
+    .update(stableStringify(context.urls ? context : { ...context, url: normalizeUrl(context.url) }))
+    .digest('hex');
+}
+
+// Screenshot settings that change the captured image (part of the cache key).
+// captureMode/captureSelector/capturePadding come from the request, else the matching login site
+function captureOptionsFor(context) {
+  const site = findLoginSite(context.url, context.loginInstructions || []) || {};
+  const selector = context.captureSelector || site.captureSelector || null;
+  const padding = context.capturePadding ?? site.capturePadding ?? MEMORY_LIMITS.CAPTURE_PADDING;
+  const viewport = context.viewport || {};
+  const format = context.format || 'jpeg';
+  
+  return {
+    width: viewport.width || MEMORY_LIMITS.SCREENSHOT_WIDTH,
+    height: viewport.height || MEMORY_LIMITS.SCREENSHOT_HEIGHT,
+    deviceScaleFactor: context.deviceScaleFactor || 1,
+    format,
+    // PNG is lossless - puppeteer rejects a quality for it
+    quality: format === 'png' ? null : context.quality ?? MEMORY_LIMITS.SCREENSHOT_QUALITY,
+    mode: context.captureMode || site.captureMode || 'viewport',
+    selector,
+    padding: selector ? padding : null
+  };
+}
+
+const gzip = promisify(zlib.gzip);
+
+// What /scrape returns besides extracted data - a screenshot unless `outputs` says otherwise
+function requestedOutputs(context) {
+  return context.outputs && context.outputs.length > 0 ? context.outputs : ['screenshot'];
+}
+
+// Snapshot text as a response entry - gzipped and base64'd when asked
+async function encodeOutput(content, compress) {
+  const bytes = Buffer.byteLength(content);
+  if (bytes > MEMORY_LIMITS.MAX_OUTPUT_BYTES) {
+    return { error: `Output is ${bytes} bytes (max ${MEMORY_LIMITS.MAX_OUTPUT_BYTES})`, bytes };
+  }
+  if (!compress) {
+    return { encoding: 'utf8', bytes, content };
+  }
+  
+  const compressed = await gzip(content);
+  return { encoding: 'gzip+base64', bytes, compressedBytes: compressed.length, content: compressed.toString('base64') };
+}
+
+// Regions to capture for fullPage/segments on a page `pageHeight` tall (capped at MAX_CAPTURE_HEIGHT)
+function captureClipsFor(capture, pageHeight) {
+  const height = Math.min(Math.max(pageHeight, capture.height), MEMORY_LIMITS.MAX_CAPTURE_HEIGHT);
+  
+  if (capture.mode === 'fullPage') {
+    return [{ x: 0, y: 0, width: capture.width, height }];
+  }
+  
+  const clips = [];
+  for (let y = 0; y < height; y += capture.height) {
+    clips.push({ x: 0, y, width: capture.width, height: Math.min(capture.height, height - y) });
+  }
+  return clips;
+}
+
+// Fields the `extract` config can locate on the page
+const EXTRACT_FIELDS = ['price', 'salePrice', 'unit', 'availability'];
+
+// Effective extraction config: the matching site's `extract`, overridden field by field by the request's
+function extractConfigFor(context) {
+  const site = findLoginSite(context.url, context.loginInstructions || []);
+  const config = { ...(site && site.extract), ...context.extract };
+  return Object.keys(config).length > 0 ? config : null;
+}
+
+// Currency symbols, longest first so "C$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['A$', 'AUD'],
+  ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR']
+];
+const CURRENCY_CODES = /\b(USD|CAD|AUD|EUR|GBP|JPY|INR|MXN|NZD)\b/i;
+
+// One number - spaces only count as thousands separators ("1 234,56"), so "$5.49 1 ea" stops at 5.49
+const PRICE_NUMBER = /\d{1,3}(?:[\s\u00a0]\d{3})+(?:[.,]\d+)?(?![\d.,])|[.,]?\d[\d.,]*/g;
+const CURRENCY_BEFORE = /(?:[$€£¥₹]|\b(?:USD|CAD|AUD|EUR|GBP|JPY|INR|MXN|NZD))\s*$/i;
+const CURRENCY_AFTER = /^\s*(?:[$€£¥₹]|(?:USD|CAD|AUD|EUR|GBP|JPY|INR|MXN|NZD)\b)/i;
+// "Was $20.00", "Save $5" - amounts that aren't the current price
+const STALE_PRICE_LABEL = /\b(?:was|reg(?:ular)?|list|msrp|orig(?:inal)?|compare at|save|you save)\W*$/i;
+
+// The number that is the price: next to a currency mark (symbol before beats symbol after) and not
+// labelled as an old price or saving, else the first that isn't a percentage
+function pickPriceNumber(text) {
+  const candidates = [...text.matchAll(PRICE_NUMBER)].map((match) => {
+    const before = text.slice(0, match.index);
+    const after = text.slice(match.index + match[0].length);
+    const symbol = before.match(CURRENCY_BEFORE);
+    return {
+      value: match[0],
+      before: !!symbol,
+      after: CURRENCY_AFTER.test(after),
+      stale: STALE_PRICE_LABEL.test(symbol ? before.slice(0, symbol.index) : before),
+      percent: /^\s*%/.test(after)
+    };
+  });
+  
+  const pick = candidates.find(c => c.before && !c.stale) ||
+    candidates.find(c => c.after && !c.stale) ||
+    candidates.find(c => c.before || c.after) ||
+    candidates.find(c => !c.percent) ||
+    candidates[0];
+  return pick ? pick.value : null;
+}
+
+// "$1,234.56", "1.234,56 €", "USD 12.50", "$.09", "Was $20 Now $15.99" -> { amount, currency };
+// null when no number is found
+function parsePrice(text, defaultCurrency = null) {
+  if (typeof text !== 'string') return null;
+  
+  const number = pickPriceNumber(text);
+  if (!number) return null;
+  
+  let digits = number.replace(/[\s\u00a0]+/g, '').replace(/[.,]+$/, '');
+  const lastSep = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+  
+  if (lastSep !== -1) {
+    const sep = digits[lastSep];
+    const decimals = digits.length - lastSep - 1;
+    const repeated = digits.indexOf(sep) !== lastSep;
+    const mixed = digits.includes(sep === '.' ? ',' : '.');
+    // "2,499,999" and "1,500" use thousands separators only - but "0.125" and ".125" are decimals
+    const isDecimal = !repeated && (mixed || decimals !== 3 || lastSep === 0 || /^0[.,]/.test(digits));
+    
+    const intPart = digits.slice(0, lastSep).replace(/[.,]/g, '');
+    digits = isDecimal ? `${intPart}.${digits.slice(lastSep + 1)}` : digits.replace(/[.,]/g, '');
+  }
+  
+  const amount = parseFloat(digits);
+  if (!Number.isFinite(amount)) return null;
+  
+  const code = text.match(CURRENCY_CODES);
+  const symbol = CURRENCY_SYMBOLS.find(([sym]) => text.includes(sym));
+  
+  return {
+    amount,
+    // A configured currency beats symbols - "$" alone can't tell USD from CAD
+    currency: code ? code[1].toUpperCase() : defaultCurrency || (symbol ? symbol[1] : null)
+  };
+}
+
+// First usable value of a schema.org property (arrays, { name } objects, { @id } refs)
+function schemaValue(value) {
+  if (Array.isArray(value)) return schemaValue(value[0]);
+  if (value && typeof value === 'object') return schemaValue(value.name || value['@value'] || value.value || null);
+  if (value === undefined || value === null || value === '') return null;
+  return String(value).trim();
+}
+
+// Normalize a schema.org Product (from JSON-LD or microdata) into our `product` block
+function normalizeSchemaProduct(item, source) {
+  const offers = [].concat(item.offers || []);
+  const offer = offers.find(o => o && (o.price !== undefined || o.lowPrice !== undefined ||
+    o.priceSpecification)) || offers[0] || {};
+  const spec = [].concat(offer.priceSpecification || [])[0] || {};
+  const currency = schemaValue(offer.priceCurrency) || schemaValue(spec.priceCurrency);
+  
+  // schema.org prices always use "." for decimals ("2.500" is 2.5) - locale guessing is only for junk values
+  const amount = (value) => {
+    const text = schemaValue(value);
+    if (!text) return null;
+    const number = Number(text);
+    if (Number.isFinite(number)) return number;
+    const parsed = parsePrice(text, currency);
+    return parsed ? parsed.amount : null;
+  };
+  const availability = schemaValue(offer.availability);
+  
+  return {
+    source,
+    name: schemaValue(item.name),
+    sku: schemaValue(item.sku),
+    mpn: schemaValue(item.mpn),
+    gtin: schemaValue(item.gtin13 || item.gtin12 || item.gtin14 || item.gtin8 || item.gtin),
+    brand: schemaValue(item.brand),
+    price: amount(offer.price !== undefined ? offer.price : spec.price !== undefined ? spec.price : offer.lowPrice),
+    lowPrice: amount(offer.lowPrice),
+    highPrice: amount(offer.highPrice),
+    currency,
+    // "https://schema.org/InStock" -> "InStock"
+    availability: availability ? availability.split('/').pop() : null,
+    priceValidUntil: schemaValue(offer.priceValidUntil),
+    offerCount: offer.offerCount !== undefined ? Number(schemaValue(offer.offerCount)) : offers.length
+  };
+}
+
+// "$12.99", "€ 4,50", "1,299.00" - a currency symbol or two decimals marks a price
+const OCR_PRICE_TOKEN = /[$€£¥₹]\s*\d|\d[.,]\d{2}(?!\d)/;
+const OCR_CURRENCY_WORD = /^(?:US|CA|C|A)?[$€£¥₹]$|^(?:USD|CAD|AUD|EUR|GBP)$/;
+
+// Price-like tokens from OCR lines, with pixel boxes on the screenshot
+function findOcrPrices(lines = []) {
+  const prices = [];
+  
+  for (const line of lines) {
+    line.words.forEach((word, index) => {
+      const prev = line.words[index - 1];
+      let { text, confidence, bbox } = word;
+      
+      // "$" often comes back as its own word
+      if (prev && OCR_CURRENCY_WORD.test(prev.text) && /^\d/.test(text)) {
+        text = `${prev.text}${text}`;
+        confidence = Math.min(confidence, prev.confidence);
+        bbox = {
+          x0: Math.min(bbox.x0, prev.bbox.x0),
+          y0: Math.min(bbox.y0, prev.bbox.y0),
+          x1: Math.max(bbox.x1, prev.bbox.x1),
+          y1: Math.max(bbox.y1, prev.bbox.y1)
+        };
+      }
+      
+      if (!OCR_PRICE_TOKEN.test(text)) return;
+      const parsed = parsePrice(text);
+      if (!parsed) return;
+      
+      prices.push({
+        text,
+        amount: parsed.amount,
+        currency: parsed.currency,
+        confidence: Math.round(confidence),
+        bbox: { x: bbox.x0, y: bbox.y0, width: bbox.x1 - bbox.x0, height: bbox.y1 - bbox.y0 }
+      });
+    });
+  }
+  
+  return prices;
+}
+
+// Normalized availability statuses, checked in order - "out of stock" must win over "in stock"
+const AVAILABILITY_PATTERNS = [
+  ['discontinued', /discontinued|no longer (?:available|carried|sold)/i],
+  // "Not available for delivery. In stock for pickup" is one channel out, not the item - skip qualified phrases
+  ['out_of_stock', /out of stock|sold out|(?:unavailable|not (?:currently )?available)(?!\s+(?:for\s+(?:delivery|shipping|pickup|pick-up)|to\s+ship|online|in[- ]store|at\s+this\s+store))|not (?:currently )?in stock|\b0 (?:in stock|available)/i],
+  ['backorder', /back[- ]?order/i],
+  ['preorder', /pre[- ]?order|coming soon/i],
+  ['special_order', /special order|made to order|non[- ]?stock|factory (?:direct|order)|call for availability/i],
+  ['ships_in_days', /ships? (?:with)?in \d|usually ships|available in \d+|lead time/i],
+  ['low_stock', /only \d+ left|low stock|limited (?:stock|availability|quantity)|few left/i],
+  ['in_stock', /in[- ]stock|available (?:now|today|for (?:pickup|delivery))|ready (?:for pickup|to ship)|\d+ (?:available|on hand)|ships today/i]
+];
+
+// schema.org ItemAvailability -> our statuses
+const SCHEMA_AVAILABILITY = {
+  InStock: 'in_stock',
+  InStoreOnly: 'in_stock',
+  OnlineOnly: 'in_stock',
+  LimitedAvailability: 'low_stock',
+  OutOfStock: 'out_of_stock',
+  SoldOut: 'out_of_stock',
+  BackOrder: 'backorder',
+  PreOrder: 'preorder',
+  PreSale: 'preorder',
+  MadeToOrder: 'special_order',
+  Discontinued: 'discontinued'
+};
+
+// Effective availability config: site's `availability`, overridden field by field by the request's
+function availabilityConfigFor(context) {
+  const site = findLoginSite(context.url, context.loginInstructions || []);
+  const config = { ...(site && site.availability), ...context.availability };
+  return Object.keys(config).length > 0 ? config : null;
+}
+
+// "Ships in 3-5 business days" / "2 weeks" -> upper bound in days
+function parseLeadTimeDays(text) {
+  const match = text.match(/(\d+)(?:\s*(?:-|–|to)\s*(\d+))?\s*(?:business\s+|working\s+)?(day|week)s?/i);
+  if (!match) return null;
+  const days = parseInt(match[2] || match[1], 10);
+  return /week/i.test(match[3]) ? days * 7 : days;
+}
+
+// Free text -> { status, quantity, leadTimeDays, location }. `patterns` (status -> phrases)
+// come from the site config and are checked before the built-in ones
+function classifyAvailability(text, patterns = {}) {
+  const result = { status: 'unknown', quantity: null, leadTimeDays: null, location: null };
+  if (!text) return result;
+  
+  const lower = text.toLowerCase();
+  const custom = Object.entries(patterns)
+    .find(([, phrases]) => phrases.some(phrase => lower.includes(phrase.toLowerCase())));
+  const builtIn = AVAILABILITY_PATTERNS.find(([, regex]) => regex.test(text));
+  result.status = custom ? custom[0] : builtIn ? builtIn[0] : 'unknown';
+  
+  const quantity = text.match(/(\d[\d,]*)\+?\s*(?:in stock|available|on hand|left|units?|pcs|pieces|ea\b)/i) ||
+    text.match(/(?:qty|quantity|stock)\s*:?\s*(\d[\d,]*)/i);
+  if (quantity) result.quantity = parseInt(quantity[1].replace(/,/g, ''), 10);
+  
+  if (result.status === 'ships_in_days' || result.status === 'special_order' || result.status === 'backorder') {
+    result.leadTimeDays = parseLeadTimeDays(text);
+  }
+  
+  const location = text.match(/\b(?:at|@|from)\s+(?:the\s+)?([A-Z][\w .'&-]{1,40}?)\s*(?:[.,;(]|$)/);
+  if (location) result.location = location[1].trim();
+  
+  return result;
+}
+
+// Unit conversion tables - every unit expressed in its dimension's canonical unit
+const UNIT_DIMENSIONS = {
+  length: {
+    canonical: 'ft',
+    units: { ft: 1, foot: 1, feet: 1, lf: 1, "'": 1, in: 1 / 12, inch: 1 / 12, inches: 1 / 12, '"': 1 / 12,
+      yd: 3, yard: 3, yards: 3, m: 3.28084, meter: 3.28084, meters: 3.28084, mm: 0.00328084, cm: 0.0328084 }
+  },
+  area: {
+    canonical: 'sqft',
+    units: { sqft: 1, sf: 1, sqyd: 9, sy: 9, sqm: 10.7639, square: 100, squares: 100, sq: 100 }
+  },
+  weight: {
+    canonical: 'lb',
+    units: { lb: 1, lbs: 1, pound: 1, pounds: 1, oz: 1 / 16, kg: 2.20462, g: 0.00220462, cwt: 100,
+      ton: 2000, tons: 2000, tonne: 2204.62 }
+  },
+  volume: {
+    canonical: 'gal',
+    units: { gal: 1, gallon: 1, gallons: 1, qt: 0.25, quart: 0.25, pt: 0.125, l: 0.264172, liter: 0.264172,
+      ml: 0.000264172, cuft: 7.48052, cuyd: 201.974 }
+  },
+  count: {
+    canonical: 'ea',
+    units: { ea: 1, each: 1, pc: 1, pcs: 1, piece: 1, pieces: 1, ct: 1, count: 1, unit: 1, units: 1,
+      dozen: 12, dz: 12, c: 100, m: 1000 }
+  }
+};
+
+// Material categories choose a dimension and may add trade units of their own
+const MATERIAL_CATEGORIES = {
+  fasteners: { dimension: 'count', units: {} },
+  lumber: { dimension: 'length', units: {} },
+  sheet: { dimension: 'count', units: { sheet: 1, sheets: 1, panel: 1, panels: 1 } },
+  wire: { dimension: 'length', units: {} },
+  pipe: { dimension: 'length', units: {} },
+  rebar: { dimension: 'weight', units: {} },
+  roofing: { dimension: 'area', units: { bundle: 100 / 3 } },  // 3 bundles per square
+  insulation: { dimension: 'area', units: {} },
+  concrete: { dimension: 'volume', units: {} },
+  aggregate: { dimension: 'weight', units: {} },
+  paint: { dimension: 'volume', units: { pail: 5 } }
+};
+
+// Packaging words whose size comes from the text ("box of 50", "250 ft roll")
+const PACKAGE_WORDS = 'box|boxes|pack|pk|case|bag|carton|bundle|pail|bucket|roll|pallet|coil|spool|keg|sleeve|tube|tub|jar|kit';
+
+// Spell multi-word units as single tokens so the tables can match them
+function canonicalizeUnitText(text) {
+  return text.toLowerCase()
+    .replace(/\b(?:sq\.?\s*|square\s+)(?:ft|feet|foot)\b|\bft2\b|ft²/g, 'sqft')
+    .replace(/\b(?:sq\.?\s*|square\s+)(?:yd|yards?)\b|\byd2\b/g, 'sqyd')
+    .replace(/\b(?:sq\.?\s*|square\s+)(?:m|meters?)\b|\bm2\b|m²/g, 'sqm')
+    .replace(/\b(?:cu\.?\s*|cubic\s+)(?:ft|feet|foot)\b|\bft3\b/g, 'cuft')
+    .replace(/\b(?:cu\.?\s*|cubic\s+)(?:yd|yards?)\b|\byd3\b/g, 'cuyd')
+    .replace(/\blin(?:ear)?\.?\s*(?:ft|feet)\b/g, 'lf')
+    .replace(/\bhundredweight\b/g, 'cwt')
+    .replace(/(\d),(\d{3})/g, '$1$2');
+}
+
+// Unit table for a dimension plus the category's trade units and the request's overrides
+function unitTableFor(dimension, category, conversions = {}) {
+  const base = UNIT_DIMENSIONS[dimension];
+  const extra = category && MATERIAL_CATEGORIES[category] ? MATERIAL_CATEGORIES[category].units : {};
+  return { canonical: base.canonical, units: { ...base.units, ...extra, ...conversions } };
+}
+
+// Find how much one priced unit holds in `table`'s canonical unit.
+// Returns { unit, quantity, canonicalQuantity } or null
+function parseUnitText(text, table) {
+  const aliases = Object.keys(table.units).sort((a, b) => b.length - a.length)
+    .map(alias => alias.replace(/[.*+?^${}()|[\]\\'"]/g, '\\$&'));
+  const alias = `(${aliases.join('|')})(?![a-z])`;
+  const size = (unit, quantity) => table.units[unit] ? { unit, quantity, canonicalQuantity: quantity * table.units[unit] } : null;
+  
+  // "100 ft", "60 lb bag", "5 gal pail" - never half of a fraction ("1/2 in x 10 ft" is 10 ft)
+  const measured = text.match(new RegExp(`(?<![\\d./])(\\d+(?:\\.\\d+)?)(?![\\d/])\\s*-?\\s*${alias}`));
+  if (measured) {
+    const found = size(measured[2], parseFloat(measured[1]));
+    if (found) return found;
+  }
+  
+  // "box of 50", "50/box", "50-pack" - a bare count only makes sense for countable goods
+  if (table.canonical === 'ea') {
+    const packed = text.match(new RegExp(`(?:${PACKAGE_WORDS})\\s*(?:of|/|-)?\\s*\\(?(\\d+)`)) ||
+      text.match(new RegExp(`(\\d+)\\s*(?:/|per|-)?\\s*(?:${PACKAGE_WORDS})\\b`));
+    if (packed) return size('ea', parseInt(packed[1], 10));
+  }
+  
+  // "per CWT", "/ sqft", "per pallet" (size from the conversion table)
+  const per = text.match(new RegExp(`(?:\\bper\\b|/)\\s*${alias}`)) || text.match(new RegExp(`^\\s*${alias}\\s*$`));
+  if (per) return size(per[1], 1);
+  
+  return null;
+}
+
+function roundTo(value, digits = 4) {
+  return Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+// "per M" / "per C" - fastener shorthand for 1000 / 100 pieces. Capitals only (tested before lowercasing):
+// "$3.00 per m" is meters
+const PER_COUNT_LETTER = /(?:\b(?:per|Per|PER)\b|\/)\s*[MC](?![A-Za-z])/;
+
+// Amounts in the unit text are the price itself, not a quantity ("$4.98 ea")
+const PRICE_AMOUNTS = /(?:[$€£¥₹]|\b(?:usd|cad|eur|gbp)\s*)\d[\d.]*|\b\d+\.\d{2}\b/g;
+
+// Turn the extracted price + unit text into a price per canonical unit.
+// `config` = { category, dimension, conversions } - with neither, every dimension is tried in turn
+function normalizeUnitPrice(extras, config = {}) {
+  const data = extras.data || {};
+  const product = extras.product || {};
+  const price = data.price !== undefined && data.price !== null ? data.price : product.price;
+  if (price === null || price === undefined) return null;
+  
+  const currency = data.currency || product.currency || null;
+  const raw = data.raw || {};
+  const unitText = [raw.unit, raw.price].filter(Boolean).join(' ');
+  const original = { price, salePrice: data.salePrice ?? null, currency, unitText: unitText || null };
+  
+  const category = config.category || null;
+  const dimension = config.dimension || (category && MATERIAL_CATEGORIES[category] ? MATERIAL_CATEGORIES[category].dimension : null);
+  const text = canonicalizeUnitText(unitText).replace(PRICE_AMOUNTS, ' ');
+  const dimensions = dimension ? [dimension]
+    : PER_COUNT_LETTER.test(unitText) ? ['count'] : ['length', 'area', 'weight', 'volume', 'count'];
+  for (const name of dimensions) {
+    const table = unitTableFor(name, category, config.conversions);
+    const parsed = text ? parseUnitText(text, table) : null;
+    if (!parsed) continue;
+    
+    return {
+      category,
+      original: { ...original, unit: parsed.unit, quantity: parsed.quantity },
+      normalized: {
+        unit: table.canonical,
+        price: roundTo(price / parsed.canonicalQuantity),
+        salePrice: original.salePrice !== null ? roundTo(original.salePrice / parsed.canonicalQuantity) : null,
+        currency
+      },
+      basis: `${parsed.quantity} ${parsed.unit} = ${roundTo(parsed.canonicalQuantity)} ${table.canonical}`
+    };
+  }
+  
+  return { category, original, normalized: null, reason: text.trim() ? `Unrecognized unit: ${unitText}` : 'No unit text found' };
+}
+
+// Effective tier-table config: site's `tiers`, overridden field by field by the request's
+function tierConfigFor(context) {
+  const site = findLoginSite(context.url, context.loginInstructions || []);
+  const config = { ...(site && site.tiers), ...context.tiers };
+  return Object.keys(config).length > 0 ? config : null;
+}
+
+const TIER_PRICE = /[$€£¥₹]\s*\d[\d,]*(?:\.\d+)?|\d[\d,]*\.\d{2,4}\b/g;
+const TIER_RANGE = /(\d[\d,]*)\s*(?:-|–|—|to)\s*(\d[\d,]*)/;
+const TIER_OPEN = /(\d[\d,]*)\s*(?:\+|or more|and (?:up|above|over)|or greater)/i;
+const TIER_MIN = /^(\d[\d,]*)(?:\s*(?:pcs?|pieces|units?|ea|each))?$/i; // A cell that's just the lower bound
+
+// Rows of cell text -> [{ minQty, maxQty, unitPrice }] sorted by minQty; null unless 2+ tiers parse
+function parseTierRows(rows, defaultCurrency = null) {
+  // Horizontal layout: a quantity row (no prices) over a price row
+  if (rows.length === 2 && rows[0].length >= 3 && rows[0].length === rows[1].length &&
+      !rows[0].join(' ').match(TIER_PRICE)) {
+    rows = rows[0].map((cell, i) => [cell, rows[1][i]]);
+  }
+  
+  const qty = (value) => parseInt(value.replace(/,/g, ''), 10);
+  const tiers = [];
+  let currency = defaultCurrency;
+  
+  for (const cells of rows) {
+    const text = cells.join(' | ');
+    const prices = text.match(TIER_PRICE);
+    if (!prices) continue;
+    
+    // First amount is the current price - later ones are usually the struck-through list price
+    const price = parsePrice(prices[0], defaultCurrency);
+    if (!price) continue;
+    
+    const rest = text.replace(TIER_PRICE, ' ');
+    const range = rest.match(TIER_RANGE);
+    const open = rest.match(TIER_OPEN);
+    const min = cells.map(cell => cell.replace(TIER_PRICE, ' ').trim().match(TIER_MIN)).find(Boolean);
+    
+    if (range) {
+      tiers.push({ minQty: qty(range[1]), maxQty: qty(range[2]), unitPrice: price.amount });
+    } else if (open || min) {
+      tiers.push({ minQty: qty((open || min)[1]), maxQty: null, unitPrice: price.amount });
+    } else {
+      continue;
+    }
+    currency = currency || price.currency;
+  }
+  
+  if (tiers.length < 2) return null;
+  
+  tiers.sort((a, b) => a.minQty - b.minQty);
+  // "1 | 10 | 50+" style tables only give the lower bound - close each range at the next tier
+  tiers.forEach((tier, i) => {
+    if (tier.maxQty === null && i < tiers.length - 1) tier.maxQty = tiers[i + 1].minQty - 1;
+  });
+  
+  return { tiers, currency };
+}
+
+// Price for `quantity` - the matching tier, or the plain price when the page has no tiers
+function priceForQuantity(quantity, tierPricing, extras) {
+  if (tierPricing) {
+    const tier = tierPricing.tiers.find(t => quantity >= t.minQty && (t.maxQty === null || quantity <= t.maxQty));
+    if (tier) {
+      return {
+        quantity,
+        unitPrice: tier.unitPrice,
+        extendedPrice: roundTo(tier.unitPrice * quantity, 2),
+        currency: tierPricing.currency,
+        tier,
+        source: 'tier'
+      };
+    }
+  }
+  
+  const data = extras.data || {};
+  const product = extras.product || {};
+  const unitPrice = data.salePrice ?? data.price ?? product.price ?? null;
+  
+  return {
+    quantity,
+    unitPrice,
+    extendedPrice: unitPrice !== null ? roundTo(unitPrice * quantity, 2) : null,
+    currency: data.currency || product.currency || null,
+    tier: null,
+    // Below the first tier's minimum the page doesn't quote a price for this quantity
+    source: unitPrice !== null ? 'price' : 'none'
+  };
+}
+
+// Identity fields the `extract` config can locate, alongside the price fields
+const IDENTITY_FIELDS = ['title', 'sku', 'mpn', 'upc', 'brand'];
+
+// Query params and paths of search/listing pages - never a single product
+const SEARCH_PAGE = /[?&](?:q|query|search|searchterm|keyword|keywords|k|text)=|\/(?:search|catalogsearch|s)(?:\/|\?|$)/i;
+
+// Part numbers compare without case, spaces or punctuation: "AB-12 34" == "ab1234"
+function normalizeIdentifier(value) {
+  return value === null || value === undefined ? '' : String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// UPC-A, EAN-13 and GTIN-14 of one item differ only by leading zeros
+function normalizeUpc(value) {
+  return normalizeIdentifier(value).replace(/^0+/, '');
+}
+
+// Merge what the page says it is: `extract` selectors, then schema.org, then labelled text and meta tags
+function buildProductIdentity(found, product, requestedUrl, finalUrl) {
+  const identity = { title: null, sku: null, mpn: null, upc: null, brand: null, sources: {} };
+  const schema = product ? { title: product.name, sku: product.sku, mpn: product.mpn, upc: product.gtin, brand: product.brand } : {};
+  
+  for (const field of IDENTITY_FIELDS) {
+    const candidates = [
+      [found.configured[field], 'extract'],
+      [schema[field], product && product.source],
+      [found.labelled[field], 'text'],
+      [field === 'title' ? found.heading : null, 'h1'],
+      [field === 'title' ? found.metaTitle : field === 'brand' ? found.metaBrand : null, 'meta']
+    ];
+    const [value, source] = candidates.find(([value]) => value) || [null, null];
+    identity[field] = value;
+    if (value) identity.sources[field] = source;
+  }
+  
+  const requested = new URL(requestedUrl);
+  const final = new URL(finalUrl || requestedUrl);
+  identity.url = final.toString();
+  identity.redirected = normalizeUrl(requestedUrl) !== normalizeUrl(identity.url);
+  
+  if (SEARCH_PAGE.test(final.pathname + final.search)) identity.pageType = 'search';
+  else if (final.pathname === '/' && requested.pathname !== '/') identity.pageType = 'homepage';
+  else if (product || identity.sku || identity.mpn || identity.upc) identity.pageType = 'product';
+  else identity.pageType = 'unknown';
+  
+  return identity;
+}
+
+// Compare the page's identity with the request's `expect` -> { status, matched, reasons, checks }.
+// Identifier checks are match | mentioned (in page text) | conflict | missing
+function matchProductIdentity(expect, identity, evidence) {
+  const reasons = [];
+  const checks = {};
+  
+  for (const field of ['sku', 'mpn', 'upc']) {
+    if (!expect[field]) continue;
+    const normalize = field === 'upc' ? normalizeUpc : normalizeIdentifier;
+    
+    if (identity[field] && normalize(identity[field]) === normalize(expect[field])) {
+      checks[field] = 'match';
+      reasons.push(`${field} ${identity[field]} matches`);
+    } else if (evidence.mentions[field]) {
+      checks[field] = 'mentioned';
+      reasons.push(`${field} ${expect[field]} appears in the page text`);
+    } else if (identity[field]) {
+      checks[field] = 'conflict';
+      reasons.push(`page ${field} ${identity[field]} does not match expected ${expect[field]}`);
+    } else {
+      checks[field] = 'missing';
+      reasons.push(`${field} ${expect[field]} not found on the page`);
+    }
+  }
+  
+  if (expect.brand) {
+    const expected = expect.brand.toLowerCase();
+    const brand = identity.brand ? identity.brand.toLowerCase() : null;
+    if (brand && (brand.includes(expected) || expected.includes(brand))) checks.brand = 'match';
+    else if (brand) checks.brand = 'conflict';
+    else checks.brand = evidence.mentions.brand ? 'mentioned' : 'missing';
+    if (checks.brand !== 'match') {
+      reasons.push(brand ? `page brand ${identity.brand} is not ${expect.brand}` : `brand ${expect.brand} ${checks.brand === 'mentioned' ? 'appears in the page text' : 'not found on the page'}`);
+    }
+  }
+  
+  let keywordShare = null;
+  if (expect.keywords) {
+    const missing = expect.keywords.filter(keyword => !evidence.keywords.includes(keyword));
+    checks.keywords = { found: evidence.keywords, missing };
+    keywordShare = evidence.keywords.length / expect.keywords.length;
+    if (missing.length > 0) reasons.push(`keywords not found: ${missing.join(', ')}`);
+  }
+  
+  const pageProblem = identity.pageType === 'search' || identity.pageType === 'homepage';
+  if (pageProblem) reasons.unshift(identity.pageType === 'search' ? 'page looks like search results' : 'page is the site homepage');
+  if (identity.redirected) reasons.push(`redirected to ${identity.url}`);
+  
+  const ids = ['sku', 'mpn', 'upc'].filter(field => checks[field]).map(field => checks[field]);
+  let status;
+  if (ids.includes('conflict') || pageProblem) {
+    status = 'mismatch';
+  } else if (ids.some(check => check === 'match' || check === 'mentioned')) {
+    // Right part number, but the rest of the page disagrees - worth a human look
+    status = (keywordShare !== null && keywordShare < 0.5) || checks.brand === 'conflict' ? 'uncertain' : 'match';
+  } else if (ids.length > 0) {
+    status = keywordShare === 1 ? 'uncertain' : 'mismatch';
+  } else if (keywordShare !== null) {
+    status = keywordShare === 1 && checks.brand !== 'conflict' ? 'match' : keywordShare >= 0.5 ? 'uncertain' : 'mismatch';
+  } else {
+    status = checks.brand === 'match' ? 'match' : checks.brand === 'conflict' ? 'mismatch' : 'uncertain';
+  }
+  
+  return { status, matched: status === 'match', reasons, checks };
+}
+
+// Phrases sites show instead of a price, checked in order - a login prompt first, since
+// "sign in for pricing" pages often also say "call us"
+const PRICE_STATE_PATTERNS = [
+  ['login_required', /(?:log|sign)\s*in\s+(?:or\s+register\s+)?(?:to|for)\s+(?:see|view|get|display)?\s*(?:your\s+|our\s+)?(?:price|pricing)|(?:price|pricing)s?\s+(?:available|shown|visible)\s+(?:after|when|once)\s+(?:you\s+)?(?:log|sign)\s*in|(?:log|sign)\s*in\s+required\s+(?:to|for)\s+(?:see\s+)?(?:price|pricing)/i],
+  ['price_in_cart', /(?:see|view)\s+(?:the\s+)?price\s+in\s+(?:the\s+)?cart|add\s+to\s+cart\s+(?:to|for)\s+(?:see\s+|view\s+)?(?:the\s+)?(?:price|pricing)|price\s+(?:shown|displayed)\s+in\s+(?:the\s+)?cart/i],
+  ['call_for_price', /(?:call|contact\s+us|phone)\s+(?:us\s+)?for\s+(?:a\s+)?(?:price|pricing|quote)|price\s+(?:on|upon)\s+request|request\s+(?:a\s+)?(?:price|pricing)(?!\s+for\s+(?:bulk|volume|large|larger|quantity|quantities))/i],
+  ['unavailable', /(?:price|pricing)\s+(?:is\s+)?(?:currently\s+)?(?:not\s+available|unavailable)|no\s+price\s+available/i]
+];
+
+// Every state except these means the page is hiding its price
+const PRICE_VISIBLE_STATES = ['visible', 'unknown'];
+
+// visible | login_required | price_in_cart | call_for_price | unavailable | unknown.
+// An extracted price wins over hiding phrases (a "log in for your price" banner next to a list price).
+// `signals` only carry phrases found in the price/product area - carousels and footers don't count
+function classifyPriceState(signals, extras) {
+  const data = extras.data || {};
+  const product = extras.product || {};
+  const tierPrice = extras.tierPricing && extras.tierPricing.tiers.length > 0;
+  
+  if ((data.price ?? data.salePrice ?? product.price ?? null) !== null || tierPrice) {
+    return { state: 'visible', evidence: null };
+  }
+  if (signals.phrase && signals.scope !== 'page') return { state: signals.phrase.state, evidence: signals.phrase.text };
+  if (signals.loginForm) return { state: 'login_required', evidence: 'login form on page' };
+  return { state: 'unknown', evidence: null };
+}
+
+// Cache key: normalized URL + capture options + login site/account used
+function screenshotCacheKey(context) {
+  const site = findLoginSite(context.url, context.loginInstructions || []);
+  const account = site && context.credentials ? context.credentials[site.site.toLowerCase()] : null;
+  
+  return crypto.createHash('sha256')
+    .update(stableStringify({
+      url: normalizeUrl(context.url),
+      capture: captureOptionsFor(context),
+      extract: extractConfigFor(context),
+      ocr: !!context.ocr,
+      availability: availabilityConfigFor(context),
+      units: context.units || null,
+      tiers: tierConfigFor(context),
+      quantity: context.quantity || null,
+      expect: context.expect || null,
+      outputs: requestedOutputs(context),
+      compressOutputs: !!context.compressOutputs,
+      highlightPrice: !!context.highlightPrice,
+      loginSite: account ? site.site.toLowerCase() : null,
+      // Different accounts can see different prices, so they don't share entries
+      account: account ? crypto.createHash('sha256').update(stableStringify(account)).digest('hex') : null
+    }))
+    .digest('hex');
+}
+
+const cacheIndex = new Map(); // key -> { size, capturedAt }
+
+function cacheEntryPath(key) {
+  return path.join(SCREENSHOT_CACHE.DIR, `${key}.json`);
+}
+
+async function loadCacheIndex() {
+  await fs.mkdir(SCREENSHOT_CACHE.DIR, { recursive: true, mode: 0o700 });
+  
+  for (const file of await fs.readdir(SCREENSHOT_CACHE.DIR)) {
+    if (!file.endsWith('.json')) continue;
+    
+    try {
+      const stat = await fs.stat(path.join(SCREENSHOT_CACHE.DIR, file));
+      cacheIndex.set(file.slice(0, -5), { size: stat.size, capturedAt: stat.mtimeMs });
+    } catch (e) {
+      // Removed while scanning
+    }
+  }
+}
+
+// Cached response body if it is younger than maxAgeMs, else null
+async function readCachedResult(key, maxAgeMs) {
+  const entry = cacheIndex.get(key);
+  if (!entry) return null;
+  
+  if (Date.now() - entry.capturedAt > Math.min(maxAgeMs, SCREENSHOT_CACHE.TTL)) {
+    if (Date.now() - entry.capturedAt > SCREENSHOT_CACHE.TTL) {
+      await deleteCachedResult(key);
+    }
+    return null;
+  }
+  
+  try {
+    return JSON.parse(await fs.readFile(cacheEntryPath(key), 'utf8'));
+  } catch (err) {
+    await deleteCachedResult(key);
+    return null;
+  }
+}
+
+async function writeCachedResult(key, body) {
+  try {
+    const contents = JSON.stringify(body);
+    await fs.writeFile(cacheEntryPath(key), contents, { mode: 0o600 });
+    cacheIndex.set(key, { size: Buffer.byteLength(contents), capturedAt: Date.parse(body.capturedAt) || Date.now() });
+    await evictCache();
+  } catch (err) {
+    console.warn(`⚠️ Screenshot cache write failed: ${err.message}`);
+  }
+}
+
+async function deleteCachedResult(key) {
+  cacheIndex.delete(key);
+  await fs.unlink(cacheEntryPath(key)).catch(() => {});
+}
+
+// Drop expired entries, then the oldest ones until the cache fits its size cap
+async function evictCache() {
+  const now = Date.now();
+  for (const [key, entry] of cacheIndex) {
+    if (now - entry.capturedAt > SCREENSHOT_CACHE.TTL) {
+      await deleteCachedResult(key);
+    }
+  }
+  
+  let total = cacheStats().bytes;
+  const oldestFirst = [...cacheIndex.entries()].sort((a, b) => a[1].capturedAt - b[1].capturedAt);
+  for (const [key, entry] of oldestFirst) {
+    if (total <= SCREENSHOT_CACHE.MAX_BYTES) break;
+    total -= entry.size;
+    await deleteCachedResult(key);
+  }
+}
+
+function cacheStats() {
+  let bytes = 0;
+  for (const entry of cacheIndex.values()) bytes += entry.size;
+  return { entries: cacheIndex.size, bytes, maxBytes: SCREENSHOT_CACHE.MAX_BYTES, ttl: SCREENSHOT_CACHE.TTL };
+}
+
+// HMAC-SHA256 over "<timestamp>.<payload>" (verify with the same CALLBACK_SECRET). The timestamp travels in
+// X-Scrape-Timestamp - receivers should reject stale ones so a captured delivery can't be replayed
+function signCallbackPayload(payload, secret, timestamp) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+// Journal writes are chained so records land on disk in order
+let journalWrites = Promise.resolve();
+let journalRecordsSinceCompact = 0;
+
+function appendJournal(record) {
+  journalRecordsSinceCompact++;
+  journalWrites = journalWrites
+    .then(() => fs.appendFile(JOB_STORE.JOURNAL, JSON.stringify(record) + '\n', { mode: 0o600 }))
+    .catch((err) => console.error(`❌ Job journal write failed: ${err.message}`));
+  return journalWrites;
+}
+
+function flushJournal() {
+  return journalWrites;
+}
+
+// Replay the journal into the latest record per job (a torn last line is skipped)
+async function loadJournal() {
+  await fs.mkdir(JOB_STORE.RESULTS_DIR, { recursive: true, mode: 0o700 });
+  
+  let contents = '';
+  try {
+    contents = await fs.readFile(JOB_STORE.JOURNAL, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  
+  const records = new Map();
+  for (const line of contents.split('\n')) {
+    if (!line.trim()) continue;
+    
+    try {
+      const record = JSON.parse(line);
+      if (record.op === 'put') {
+        records.set(record.job.id, record.job);
+      } else if (record.op === 'delete') {
+        records.delete(record.id);
+      }
+    } catch (e) {
+      console.warn(`⚠️ Skipping unreadable job journal line: ${e.message}`);
+    }
+  }
+  
+  return [...records.values()];
+}
+
+// Rewrite the journal with only the given records (tmp file + rename is atomic)
+function compactJournal(records) {
+  journalRecordsSinceCompact = 0;
+  journalWrites = journalWrites
+    .then(async () => {
+      const tmpPath = `${JOB_STORE.JOURNAL}.tmp`;
+      const lines = records.map(job => JSON.stringify({ op: 'put', job }) + '\n').join('');
+      await fs.writeFile(tmpPath, lines, { mode: 0o600 });
+      await fs.rename(tmpPath, JOB_STORE.JOURNAL);
+    })
+    .catch((err) => console.error(`❌ Job journal compaction failed: ${err.message}`));
+  return journalWrites;
+}
+
+function jobResultPath(id) {
+  return path.join(JOB_STORE.RESULTS_DIR, `${id}.json`);
+}
+
+async function saveJobResult(id, body) {
+  await fs.writeFile(jobResultPath(id), JSON.stringify(body), { mode: 0o600 });
+}
+
+async function loadJobResult(id) {
+  try {
+    return JSON.parse(await fs.readFile(jobResultPath(id), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+async function deleteJobResult(id) {
+  await fs.unlink(jobResultPath(id)).catch(() => {});
+}
+
+// OCR worker - one forked child, started on first use and stopped after OCR_WORKER.IDLE_TIMEOUT idle
+let ocrChild = null;
+let ocrIdleTimer = null;
+let ocrSeq = 0;
+const ocrPending = new Map(); // id -> { resolve, reject, timer }
+
+function startOcrWorker() {
+  const child = fork(OCR_WORKER.SCRIPT, [], { stdio: ['ignore', 'inherit', 'inherit', 'ipc'] });
+  console.log(`🔤 OCR worker started (pid ${child.pid})`);
+  
+  child.on('message', ({ id, result, error }) => {
+    const pending = ocrPending.get(id);
+    if (!pending) return;
+    ocrPending.delete(id);
+    clearTimeout(pending.timer);
+    if (error) pending.reject(new Error(`OCR failed: ${error}`));
+    else pending.resolve(result);
+  });
+  
+  child.on('exit', (code) => {
+    if (ocrChild === child) ocrChild = null;
+    for (const [id, pending] of ocrPending) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error(`OCR worker exited (code ${code})`));
+      ocrPending.delete(id);
+    }
+  });
+  
+  return child;
+}
+
+function stopOcrWorker() {
+  clearTimeout(ocrIdleTimer);
+  if (ocrChild && ocrChild.connected) ocrChild.disconnect();
+  ocrChild = null;
+}
+
+// OCR one screenshot in the worker -> { text, confidence, lines }
+function recognizeScreenshot(image) {
+  if (!ocrChild) ocrChild = startOcrWorker();
+  clearTimeout(ocrIdleTimer);
+  
+  const child = ocrChild;
+  const id = ++ocrSeq;
+  
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      ocrPending.delete(id);
+      reject(new Error('OCR timeout'));
+      child.kill(); // Wedged engine - the next request forks a fresh one
+    }, OCR_WORKER.TIMEOUT);
+    
+    ocrPending.set(id, { resolve, reject, timer });
+    child.send({ id, image: image.toString('base64') });
+  }).finally(() => {
+    if (ocrPending.size === 0) {
+      ocrIdleTimer = setTimeout(stopOcrWorker, OCR_WORKER.IDLE_TIMEOUT);
+    }
+  });
+}
+
 // Connect to ngrok with proper error handling
 async function connectToNgrok() {
   try {
@@ -103,59 +1332,491 @@ async function dismissCookies(page) {
       '#accept-cookies'
     ];
     
-    let clickedCookie = false;
+    let clickedCookie = false;
+    
+    for (let i = 0; i < selectors.length; i++) {
+      if (page._isClosed) return;
+      
+      try {
+        const element = await page.$(selectors[i]);
+        if (element) { 
+          await element.click();
+          await new Promise(r => setTimeout(r, 300 + Math.random() * 500));
+          clickedCookie = true;
+          return;
+        }
+      } catch (selectorError) {
+        // Continue to next selector
+      }
+    }
+    
+    // Fallback approach using text matching
+    if (!clickedCookie && !page._isClosed) {
+      try {
+        const clickResult = await page.evaluate(() => {
+          const textPhrases = ['accept', 'Accept', 'agree', 'Agree', 'Cookie', 'cookie'];
+          
+          for (const phrase of textPhrases) {
+            const elements = Array.from(document.querySelectorAll('button, a'))
+              .filter(el => el.textContent.includes(phrase) && 
+                      el.offsetWidth > 0 && 
+                      el.offsetHeight > 0);
+            
+            if (elements.length > 0) {
+              elements[0].click();
+              return true;
+            }
+          }
+          return false;
+        });
+        
+        if (clickResult) {
+          console.log('Clicked cookie consent using evaluate approach');
+        }
+      } catch (e) {
+        // Ignore errors from this fallback approach
+      }
+    }
+  } catch (e) {
+    console.warn(`Error dismissing cookies: ${e.message}`);
+  }
+}
+
+// Read configured fields off the page - CSS or XPath, text or an attribute.
+// `names` picks which config keys are selectors; missing elements are left out of the result
+async function readPageFields(page, config, names) {
+  const fields = {};
+  for (const field of names) {
+    if (!config[field]) continue;
+    fields[field] = typeof config[field] === 'string' ? { selector: config[field] } : config[field];
+  }
+  
+  const raw = await page.evaluate((fields) => {
+    const found = {};
+    
+    for (const [field, { selector, type, attribute }] of Object.entries(fields)) {
+      try {
+        const el = type === 'xpath'
+          ? document.evaluate(selector, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue
+          : document.querySelector(selector);
+        if (!el) continue;
+        
+        const value = attribute ? el.getAttribute(attribute) : (el.innerText || el.textContent);
+        if (value && value.trim()) found[field] = value.trim().replace(/\s+/g, ' ');
+      } catch (e) {
+        // Bad selector - reported as missing
+      }
+    }
+    
+    return found;
+  }, fields);
+  
+  return { fields, raw };
+}
+
+// Price fields from the `extract` config, parsed into numbers
+async function extractPageData(page, config) {
+  const { fields, raw } = await readPageFields(page, config, EXTRACT_FIELDS);
+  const price = parsePrice(raw.price, config.currency || null);
+  const salePrice = parsePrice(raw.salePrice, config.currency || null);
+  
+  return {
+    price: price ? price.amount : null,
+    salePrice: salePrice ? salePrice.amount : null,
+    currency: (price && price.currency) || (salePrice && salePrice.currency) || config.currency || null,
+    unit: raw.unit || null,
+    availability: raw.availability || null,
+    raw,
+    missing: Object.keys(fields).filter(field => !(field in raw))
+  };
+}
+
+// Availability from the site's selectors, falling back to extracted text, then schema.org markup
+async function extractAvailability(page, config, extras = {}) {
+  let raw = {};
+  if (config) {
+    ({ raw } = await readPageFields(page, config, ['status', 'quantity', 'location']));
+  }
+  
+  const text = raw.status || (extras.data && extras.data.availability) || null;
+  const schemaStatus = extras.product && extras.product.availability;
+  if (!text && !raw.quantity && !schemaStatus) return null;
+  
+  const result = classifyAvailability(text, (config && config.patterns) || {});
+  let source = raw.status ? 'selectors' : text ? 'extract' : 'schema.org';
+  
+  if (result.status === 'unknown' && schemaStatus && SCHEMA_AVAILABILITY[schemaStatus]) {
+    result.status = SCHEMA_AVAILABILITY[schemaStatus];
+    source = 'schema.org';
+  }
+  
+  // Dedicated quantity/location elements beat whatever the status text mentioned
+  if (raw.quantity) {
+    const quantity = raw.quantity.match(/\d[\d,]*/);
+    if (quantity) result.quantity = parseInt(quantity[0].replace(/,/g, ''), 10);
+  }
+  if (raw.location) result.location = raw.location;
+  
+  return { ...result, text, source };
+}
+
+// Quantity-break table: the configured container, or any table/tier-ish block that parses as one.
+// Auto mode only trusts blocks that say they're about quantity - size tables have ranges and prices too
+async function extractTierTable(page, config, defaultCurrency = null) {
+  const candidates = await page.evaluate((config) => {
+    const cellText = (el) => (el.innerText || el.textContent || '').trim().replace(/\s+/g, ' ');
+    let containers;
+    
+    if (config.container) {
+      const el = config.type === 'xpath'
+        ? document.evaluate(config.container, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue
+        : document.querySelector(config.container);
+      containers = el ? [el] : [];
+    } else {
+      containers = [...document.querySelectorAll('table, [class*="tier" i], [class*="volume" i], [class*="break" i], ' +
+        '[class*="bulk" i], [id*="tier" i], [id*="volume" i]')].slice(0, 20);
+    }
+    
+    const QUANTITY_WORDS = /\b(?:qty|quantity|quantities|buy|volume|bulk|tier(?:ed)?|price breaks?)\b/i;
+    
+    return containers.map(container => {
+      const rows = config.row ? [...container.querySelectorAll(config.row)]
+        : container.tagName === 'TABLE' ? [...container.rows] : [...container.children];
+      // The block's own text (header row, caption) or the heading right above it
+      const previous = container.previousElementSibling;
+      const label = cellText(container).slice(0, 500) + ' ' + (previous ? cellText(previous).slice(0, 200) : '');
+      
+      return {
+        quantityLabelled: QUANTITY_WORDS.test(label),
+        rows: rows.slice(0, 50).map(row => {
+          const cells = row.tagName === 'TR' ? [...row.cells] : [row];
+          return cells.map(cellText);
+        })
+      };
+    });
+  }, config);
+  
+  for (const { rows, quantityLabelled } of candidates) {
+    if (!config.container && !quantityLabelled) continue;
+    const parsed = parseTierRows(rows, defaultCurrency);
+    if (parsed) return { ...parsed, source: config.container ? 'selectors' : 'auto' };
+  }
+  
+  return null;
+}
+
+// Scroll `selector` into view and return its padded box in page coordinates
+// (what page.screenshot's clip expects), or null when there's no visible match
+async function locateCaptureRegion(page, selector, padding) {
+  return page.evaluate(async (selector, padding, maxHeight) => {
+    let el;
+    try {
+      el = document.querySelector(selector);
+    } catch (e) {
+      return null; // Invalid selector
+    }
+    if (!el) return null;
+    
+    el.scrollIntoView({ block: 'center', inline: 'center' });
+    await new Promise(r => setTimeout(r, 250)); // Let lazy images / sticky headers settle
+    
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+    
+    const root = document.documentElement;
+    const element = {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    };
+    const x = Math.max(0, element.x - padding);
+    const y = Math.max(0, element.y - padding);
+    const right = Math.min(element.x + element.width + padding, Math.max(root.scrollWidth, window.innerWidth));
+    const bottom = Math.min(element.y + element.height + padding, Math.max(root.scrollHeight, window.innerHeight), y + maxHeight);
+    
+    return { element, clip: { x, y, width: right - x, height: bottom - y } };
+  }, selector, padding, MEMORY_LIMITS.MAX_CAPTURE_HEIGHT);
+}
+
+// Page-coordinate box of the element holding the price: the extract config's price field,
+// else schema.org microdata. Null when neither is on the page (or it isn't rendered)
+async function locatePriceElement(page, extractConfig) {
+  const configured = extractConfig && extractConfig.price;
+  const spec = typeof configured === 'string' ? { selector: configured } : configured ||
+    { selector: '[itemprop="price"]', source: 'microdata' };
+  
+  const box = await page.evaluate(({ selector, type }) => {
+    let el;
+    try {
+      el = type === 'xpath'
+        ? document.evaluate(selector, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue
+        : document.querySelector(selector);
+    } catch (e) {
+      return null;
+    }
+    if (!el || !el.getBoundingClientRect) return null;
+    
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+    return {
+      x: Math.round(rect.left + window.scrollX),
+      y: Math.round(rect.top + window.scrollY),
+      width: Math.round(rect.width),
+      height: Math.round(rect.height)
+    };
+  }, spec);
+  
+  return box ? { selector: spec.selector, source: spec.source || 'extract', boundingBox: box } : null;
+}
+
+const HIGHLIGHT_ID = '__scrape_price_highlight';
+
+// Draw a labelled box over the price (page coordinates) so it's baked into the screenshot
+async function drawPriceHighlight(page, box, label) {
+  await page.evaluate((box, label, id) => {
+    const frame = document.createElement('div');
+    frame.id = id;
+    frame.style.cssText = `position:absolute;left:${box.x - 6}px;top:${box.y - 6}px;` +
+      `width:${box.width + 12}px;height:${box.height + 12}px;border:3px solid #ff1744;border-radius:4px;` +
+      'box-shadow:0 0 0 2px rgba(255,255,255,0.85);box-sizing:border-box;z-index:2147483647;pointer-events:none;';
+    
+    const tag = document.createElement('div');
+    tag.textContent = label;
+    // Label above the box unless that would run off the top of the page
+    tag.style.cssText = `position:absolute;left:-3px;${box.y < 32 ? `top:${box.height + 10}px` : 'top:-27px'};` +
+      'background:#ff1744;color:#fff;font:bold 14px/20px Arial,sans-serif;padding:1px 6px;border-radius:3px;white-space:nowrap;';
     
-    for (let i = 0; i < selectors.length; i++) {
-      if (page._isClosed) return;
-      
+    frame.appendChild(tag);
+    document.documentElement.appendChild(frame);
+  }, box, label, HIGHLIGHT_ID);
+}
+
+async function removePriceHighlight(page) {
+  if (!page || page._isClosed) return;
+  await page.evaluate((id) => {
+    const frame = document.getElementById(id);
+    if (frame) frame.remove();
+  }, HIGHLIGHT_ID).catch(() => {});
+}
+
+// schema.org Product nodes embedded in the page - JSON-LD first, then microdata
+async function extractStructuredProduct(page) {
+  const found = await page.evaluate(() => {
+    const isProduct = (node) => node && [].concat(node['@type'] || []).some(t => /Product$/.test(t));
+    const products = [];
+    
+    const walk = (node) => {
+      if (Array.isArray(node)) return node.forEach(walk);
+      if (!node || typeof node !== 'object') return;
+      if (isProduct(node)) products.push(node);
+      if (node['@graph']) walk(node['@graph']);
+    };
+    
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
       try {
-        const element = await page.$(selectors[i]);
-        if (element) { 
-          await element.click();
-          await new Promise(r => setTimeout(r, 300 + Math.random() * 500));
-          clickedCookie = true;
-          return;
-        }
-      } catch (selectorError) {
-        // Continue to next selector
+        walk(JSON.parse(script.textContent));
+      } catch (e) {
+        // Broken JSON-LD is common - skip the block
       }
     }
+    if (products.length > 0) return { source: 'json-ld', item: products[0] };
     
-    // Fallback approach using text matching
-    if (!clickedCookie && !page._isClosed) {
-      try {
-        const clickResult = await page.evaluate(() => {
-          const textPhrases = ['accept', 'Accept', 'agree', 'Agree', 'Cookie', 'cookie'];
-          
-          for (const phrase of textPhrases) {
-            const elements = Array.from(document.querySelectorAll('button, a'))
-              .filter(el => el.textContent.includes(phrase) && 
-                      el.offsetWidth > 0 && 
-                      el.offsetHeight > 0);
-            
-            if (elements.length > 0) {
-              elements[0].click();
-              return true;
-            }
-          }
-          return false;
-        });
+    // Microdata: itemprops belong to their nearest enclosing itemscope
+    const readItem = (scope) => {
+      const item = {};
+      for (const el of scope.querySelectorAll('[itemprop]')) {
+        const owner = el.hasAttribute('itemscope') ? el.parentElement.closest('[itemscope]') : el.closest('[itemscope]');
+        if (owner !== scope) continue;
         
-        if (clickResult) {
-          console.log('Clicked cookie consent using evaluate approach');
+        const value = el.hasAttribute('itemscope') ? readItem(el)
+          : el.getAttribute('content') || el.getAttribute('href') || el.getAttribute('src') ||
+            el.getAttribute('datetime') || el.textContent.trim();
+        
+        for (const prop of el.getAttribute('itemprop').split(/\s+/)) {
+          item[prop] = item[prop] === undefined ? value : [].concat(item[prop], value);
         }
-      } catch (e) {
-        // Ignore errors from this fallback approach
       }
+      return item;
+    };
+    
+    const scope = document.querySelector('[itemscope][itemtype*="schema.org/Product"]');
+    return scope ? { source: 'microdata', item: readItem(scope) } : null;
+  });
+  
+  return found ? normalizeSchemaProduct(found.item, found.source) : null;
+}
+
+// Identity fields from the page - configured selectors, labelled text ("SKU: 1234"), headings and meta tags -
+// plus which of the expected identifiers/keywords show up anywhere in the visible text
+async function extractProductIdentity(page, config, expect, product, requestedUrl) {
+  const { raw } = config ? await readPageFields(page, config, IDENTITY_FIELDS) : { raw: {} };
+  const expected = expect || {};
+  
+  const found = await page.evaluate((identifiers, keywords) => {
+    const meta = (name) => {
+      const el = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+      return el && el.getAttribute('content') ? el.getAttribute('content').trim() : null;
+    };
+    const heading = document.querySelector('h1');
+    const text = document.body ? document.body.innerText || document.body.textContent || '' : '';
+    
+    const LABELS = {
+      sku: /\b(?:sku|item\s*(?:#|no\.?|number)|catalog\s*(?:#|no\.?))\s*[:#]?\s*([A-Z0-9][A-Z0-9\-./]{2,})/i,
+      mpn: /\b(?:mpn|mfr\.?\s*(?:part\s*)?(?:#|no\.?|number)|manufacturer\s*part\s*(?:#|no\.?|number)|model\s*(?:#|no\.?|number))\s*[:#]?\s*([A-Z0-9][A-Z0-9\-./]{2,})/i,
+      upc: /\b(?:upc|ean|gtin)\s*(?:code)?\s*[:#]?\s*(\d{8,14})\b/i
+    };
+    const labelled = {};
+    for (const [field, pattern] of Object.entries(LABELS)) {
+      const match = text.match(pattern);
+      if (match) labelled[field] = match[1].replace(/[.\-/]+$/, '');
     }
-  } catch (e) {
-    console.warn(`Error dismissing cookies: ${e.message}`);
+    
+    // Identifiers compare squashed ("AB-1234" in "Part AB 1234"); short ones would match anything
+    const squashed = text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const mentions = {};
+    for (const [field, value] of Object.entries(identifiers)) {
+      mentions[field] = value.length >= 4 && squashed.includes(value);
+    }
+    const lower = text.toLowerCase() + ' ' + document.title.toLowerCase();
+    
+    return {
+      heading: heading ? heading.textContent.trim().replace(/\s+/g, ' ') || null : null,
+      metaTitle: meta('og:title') || document.title.trim() || null,
+      metaBrand: meta('product:brand') || meta('og:brand') || null,
+      labelled,
+      mentions,
+      keywords: keywords.filter(keyword => lower.includes(keyword.toLowerCase()))
+    };
+  }, {
+    ...(expected.sku && { sku: normalizeIdentifier(expected.sku) }),
+    ...(expected.mpn && { mpn: normalizeIdentifier(expected.mpn) }),
+    ...(expected.upc && { upc: normalizeUpc(expected.upc) }),
+    ...(expected.brand && { brand: normalizeIdentifier(expected.brand) })
+  }, expected.keywords || []);
+  
+  const identity = buildProductIdentity({ ...found, configured: raw }, product, requestedUrl, page.url());
+  return { identity, evidence: { mentions: found.mentions, keywords: found.keywords } };
+}
+
+// Explicit login outcome from the site's failureSelector / successSelector / successUrlPattern,
+// checked in that order. Null when the site declares none, so the caller falls back to its heuristics
+async function checkLoginCriteria(page, loginSite, timeout) {
+  const { successSelector, failureSelector, successUrlPattern } = loginSite;
+  if (!successSelector && !failureSelector && !successUrlPattern) return null;
+  
+  // Give the post-login page a moment to render either outcome
+  const selectors = [successSelector, failureSelector].filter(Boolean);
+  if (selectors.length > 0) {
+    await page.waitForSelector(selectors.join(', '), { timeout }).catch(() => {});
+  }
+  
+  const found = await page.evaluate((success, failure) => {
+    const visible = (selector) => {
+      if (!selector) return null;
+      const el = [...document.querySelectorAll(selector)]
+        .find(e => e.offsetWidth > 0 || e.offsetHeight > 0 || e.getClientRects().length > 0);
+      return el ? (el.innerText || el.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 200) : null;
+    };
+    return { success: visible(success) !== null, failure: visible(failure) };
+  }, successSelector || null, failureSelector || null) || { success: false, failure: null };
+  
+  if (found.failure !== null) {
+    return { succeeded: false, reason: `failureSelector ${failureSelector} matched${found.failure ? `: "${found.failure}"` : ''}` };
   }
+  
+  const currentUrl = page.url();
+  if (successUrlPattern && !new RegExp(successUrlPattern).test(currentUrl)) {
+    return { succeeded: false, reason: `URL ${currentUrl} does not match successUrlPattern` };
+  }
+  if (successSelector && !found.success) {
+    return { succeeded: false, reason: `successSelector ${successSelector} not found` };
+  }
+  
+  const passed = [
+    successSelector && `successSelector ${successSelector} found`,
+    successUrlPattern && 'URL matches successUrlPattern'
+  ].filter(Boolean);
+  return { succeeded: true, reason: passed.length > 0 ? passed.join(', ') : `failureSelector ${failureSelector} not present` };
+}
+
+// Block around the price: the extract.price element's parent, the captureSelector element, then the main product block
+const PRODUCT_AREA_SELECTORS = [
+  '[itemtype*="schema.org/Product"]', '[class*="product-detail" i]', '[class*="product-info" i]',
+  '[class*="productdetail" i]', '[id*="product-detail" i]', '[class*="pdp" i]', 'main', '[role="main"]'
+];
+
+// Site chrome a header sign-in box or login dropdown lives in - not the page's own content
+const PAGE_CHROME_SELECTOR = 'header, nav, footer, aside, dialog, [role="banner"], [role="navigation"], ' +
+  '[role="dialog"], [class*="dropdown" i], [class*="modal" i], [class*="flyout" i]';
+
+// Price-hiding phrases and login forms in the price area (regexes travel as source/flags pairs).
+// scope says where the phrases were looked for - 'page' when no price/product area was found, and then only
+// a visible password field in a form outside the site chrome counts (a header sign-in box doesn't, a page
+// that is nothing but a login form does)
+async function detectPriceSignals(page, selectors) {
+  return page.evaluate((patterns, selectors, productSelectors, chromeSelector) => {
+    const find = (selector) => {
+      try {
+        return selector ? document.querySelector(selector) : null;
+      } catch (e) {
+        return null; // Bad selector - try the next area
+      }
+    };
+    
+    let area = null;
+    let scope = 'page';
+    const priceEl = find(selectors.price);
+    const captureEl = find(selectors.capture);
+    if (priceEl) {
+      area = priceEl.parentElement || priceEl;
+      scope = 'price';
+    } else if (captureEl) {
+      area = captureEl;
+      scope = 'capture';
+    } else {
+      area = productSelectors.map(find).find(Boolean) || null;
+      if (area) scope = 'product';
+    }
+    
+    let phrase = null;
+    const text = area ? area.innerText || area.textContent || '' : '';
+    for (const [state, source, flags] of patterns) {
+      const match = text.match(new RegExp(source, flags));
+      if (match) {
+        phrase = { state, text: match[0].replace(/\s+/g, ' ').trim() };
+        break;
+      }
+    }
+    
+    // A visible password field means we're looking at a login prompt, not a product
+    const password = [...(area || document).querySelectorAll('input[type="password"]')]
+      .filter(el => el.offsetWidth > 0 || el.offsetHeight > 0 || el.getClientRects().length > 0)
+      .find(el => area || (el.closest('form') && !el.closest(chromeSelector)));
+    
+    return { phrase, loginForm: !!password, scope };
+  }, PRICE_STATE_PATTERNS.map(([state, regex]) => [state, regex.source, regex.flags]), selectors,
+  PRODUCT_AREA_SELECTORS, PAGE_CHROME_SELECTOR);
 }
 
 (async () => {
   const app = express();
   app.use(express.json({ limit: '2mb' })); // Keep larger limit for login instructions
+  
+  // Malformed JSON gets the same structured error shape as schema failures
+  app.use((err, req, res, next) => {
+    if (err.type !== 'entity.parse.failed') return next(err);
+    res.status(400).json({
+      success: false,
+      error: `Invalid JSON body: ${err.message}`,
+      code: 'VALIDATION_FAILED',
+      errors: [{ code: 'INVALID_JSON', path: '', message: err.message }],
+      // Every /scrape response carries a login block
+      login: req.path === '/scrape' ? rejectedLogin(null) : undefined
+    });
+  });
+  
+  const requestSchemas = await loadRequestSchemas();
 
   let browser = null;
   let pagePool = null;
@@ -272,7 +1933,7 @@ async function dismissCookies(page) {
         return isValid;
       }
     }, {
-      max: 1,
+      max: TOTAL_SLOTS,            // One page per queue slot - reserved ones only open when used
       min: 1,
       idleTimeoutMillis: 300000,   // 5 minute idle timeout
       acquireTimeoutMillis: 30000, // 30 second acquire timeout for login flows
@@ -283,61 +1944,602 @@ async function dismissCookies(page) {
     return pagePool;
   }
 
-  // Browser crash handling
-  async function handleBrowserCrash() {
-    if (isRestarting) return;
+  // Browser crash handling
+  async function handleBrowserCrash() {
+    if (isRestarting) return;
+    
+    isRestarting = true;
+    restartAttempts++;
+    
+    if (restartAttempts > MAX_RESTART_ATTEMPTS) {
+      console.error('❌ Max restarts reached. Process will exit.');
+      await flushJournal();
+      process.exit(1);
+    }
+    
+    console.log(`🔄 Browser restart ${restartAttempts}/${MAX_RESTART_ATTEMPTS} (with login support)`);
+    
+    try {
+      // Quick cleanup
+      if (pagePool) {
+        await pagePool.drain().catch(() => {});
+        await pagePool.clear().catch(() => {});
+      }
+      
+      if (browser) {
+        await browser.close().catch(() => {});
+      }
+      
+      // Force GC
+      if (typeof global.gc === 'function') {
+        global.gc();
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, 3000));
+      await initializeBrowser();
+      
+      isRestarting = false;
+      console.log('🔄 Browser restarted with login capabilities');
+    } catch (error) {
+      console.error('Restart failed:', error);
+      isRestarting = false;
+      setTimeout(handleBrowserCrash, 5000);
+    }
+  }
+
+  await initializeBrowser();
+
+  // Bulk gets the base slots; the reserved ones stay free for interactive work
+  const bulkSlots = MEMORY_LIMITS.QUEUE_CONCURRENCY;
+  const laneRunning = { interactive: 0, bulk: 0 };
+
+  // p-queue queueClass with one FIFO per lane
+  class LaneQueue {
+    constructor() {
+      this.lanes = { interactive: [], bulk: [] };
+    }
+    
+    enqueue(run, options = {}) {
+      const lane = QUEUE_LANES.includes(options.lane) ? options.lane : DEFAULT_LANE;
+      this.lanes[lane].push({ run, id: options.id, lane });
+    }
+    
+    // Returning nothing while bulk is at its cap leaves the work queued until a slot frees up
+    dequeue() {
+      if (this.lanes.interactive.length > 0) {
+        return this.lanes.interactive.shift().run;
+      }
+      if (this.lanes.bulk.length > 0 && laneRunning.bulk < bulkSlots) {
+        return this.lanes.bulk.shift().run;
+      }
+      return undefined;
+    }
+    
+    filter(options = {}) {
+      return QUEUE_LANES
+        .filter(lane => !options.lane || options.lane === lane)
+        .flatMap(lane => this.lanes[lane].map(element => element.run));
+    }
+    
+    setPriority(id, priority) {
+      // Lanes replace numeric priorities - nothing to reorder
+    }
+    
+    get size() {
+      return this.lanes.interactive.length + this.lanes.bulk.length;
+    }
+  }
+
+  // Request queue for n8n
+  const queue = new PQueue({ 
+    concurrency: TOTAL_SLOTS,
+    timeout: MEMORY_LIMITS.REQUEST_TIMEOUT,
+    throwOnTimeout: true,
+    queueClass: LaneQueue
+  });
+
+  // Add work to a lane, tracking how many of each lane are running
+  function addToLane(lane, task, options = {}) {
+    return queue.add(async () => {
+      laneRunning[lane]++;
+      try {
+        return await task();
+      } finally {
+        laneRunning[lane]--;
+        // A timed-out/aborted task finishes after p-queue moved on, so re-check the queue
+        queue.concurrency = queue.concurrency;
+      }
+    }, { ...options, lane });
+  }
+
+  function laneStats() {
+    const stats = {};
+    for (const lane of QUEUE_LANES) {
+      stats[lane] = { waiting: queue.sizeBy({ lane }), running: laneRunning[lane] };
+    }
+    return stats;
+  }
+
+  // Async jobs for n8n polling (POST /jobs + GET /jobs/:id)
+  const jobs = new Map();
+  const jobEvents = new EventEmitter();
+  jobEvents.setMaxListeners(0); // One listener per open SSE stream
+  const idempotencyKeys = new Map(); // Idempotency-Key -> job id
+  const inFlightJobs = new Map();    // request fingerprint -> unfinished job id
+
+  // `stored` is a journal record when a job is restored after a restart
+  function createJob(context, stored = null, idempotencyKey = null) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      url: context.url,
+      context,
+      fingerprint: requestFingerprint(context),
+      idempotencyKey,
+      statusCode: null,
+      attempts: 0,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      result: null,
+      resultStored: false,
+      events: [],
+      eventSeq: 0,
+      callback: context.callbackUrl ? {
+        url: context.callbackUrl,
+        status: 'pending',
+        attempts: 0,
+        lastError: null
+      } : null,
+      ...stored
+    };
+    
+    job.completion = new Promise(resolve => { job.resolveCompletion = resolve; });
+    job.abortController = new AbortController();
+    job.signal = job.abortController.signal;
+    job.waiters = 0;
+    jobs.set(job.id, job);
+    
+    if (job.idempotencyKey) {
+      idempotencyKeys.set(job.idempotencyKey, job.id);
+    }
+    if (!isJobFinished(job)) {
+      inFlightJobs.set(job.fingerprint, job.id);
+    }
+    return job;
+  }
+
+  // Job a repeated request should attach to: same Idempotency-Key within the
+  // window, or an identical scrape that is still queued/running. Cancelled jobs never count - n8n
+  // retries a timed-out request with the same key, and that retry needs a fresh scrape
+  function findDuplicateJob(context, idempotencyKey) {
+    const replayable = (job) => job && !job.signal.aborted && job.status !== 'cancelled';
+    
+    if (idempotencyKey) {
+      const job = jobs.get(idempotencyKeys.get(idempotencyKey));
+      if (replayable(job) && Date.now() - job.createdAt <= MEMORY_LIMITS.IDEMPOTENCY_WINDOW) {
+        return job;
+      }
+    }
+    
+    const job = jobs.get(inFlightJobs.get(requestFingerprint(context)));
+    return replayable(job) ? job : null;
+  }
+
+  // Reusing a key for a different request is a client bug, not a replay
+  function idempotencyKeyConflicts(context, idempotencyKey) {
+    if (!idempotencyKey) return false;
+    
+    const job = findDuplicateJob(context, idempotencyKey);
+    return !!job && job.idempotencyKey === idempotencyKey &&
+           job.fingerprint !== requestFingerprint(context);
+  }
+
+  // Final status code and body, reading the stored result back if needed
+  async function jobOutcome(job) {
+    const { statusCode, body } = await job.completion;
+    if (body) return { statusCode, body };
+    
+    return {
+      statusCode: job.statusCode || 500,
+      body: (await loadJobResult(job.id)) || { success: false, error: 'Job result no longer available' }
+    };
+  }
+
+  // Credentials stay in memory only - after a restart, jobs resume without them, except a job whose URL
+  // needs a login: it can't log in again, so it fails and has to be resubmitted
+  function persistJob(job) {
+    return appendJournal({
+      op: 'put',
+      job: toJournalRecord(job)
+    });
+  }
+
+  function toJournalRecord(job) {
+    const { credentials = {}, ...context } = job.context;
+    const needsLogin = (context.urls || [job.url])
+      .some(url => loginSiteWithCredentials(url, context.loginInstructions, credentials));
+    return {
+      id: job.id,
+      status: job.status,
+      url: job.url,
+      context,
+      credentialsOmitted: !!job.credentialsOmitted || needsLogin,
+      fingerprint: job.fingerprint,
+      idempotencyKey: job.idempotencyKey,
+      statusCode: job.statusCode,
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      resultStored: job.resultStored,
+      callback: job.callback
+    };
+  }
+
+  // Record a job event for SSE subscribers (and later replay via Last-Event-ID)
+  function emitJobEvent(job, type, data) {
+    const event = {
+      id: ++job.eventSeq,
+      type,
+      time: new Date().toISOString(),
+      data
+    };
+    
+    job.events.push(event);
+    if (job.events.length > MEMORY_LIMITS.MAX_JOB_EVENTS) {
+      job.events.shift();
+    }
+    
+    jobEvents.emit(job.id, event);
+  }
+
+  function setJobStatus(job, status) {
+    if (!job) return;
+    job.status = status;
+    job.updatedAt = Date.now();
+    console.log(`📋 Job ${job.id}: ${status}`);
+    emitJobEvent(job, 'status', { status });
+    return persistJob(job);
+  }
+
+  // Fine-grained phase/step outcome within the current status
+  function reportProgress(job, phase, detail = {}) {
+    if (!job) return;
+    job.updatedAt = Date.now();
+    emitJobEvent(job, 'progress', { phase, ...detail });
+  }
+
+  async function serializeJob(job) {
+    return {
+      jobId: job.id,
+      status: job.status,
+      url: job.url,
+      urls: job.context.urls,
+      attempts: job.attempts,
+      createdAt: new Date(job.createdAt).toISOString(),
+      updatedAt: new Date(job.updatedAt).toISOString(),
+      result: job.result || (job.resultStored ? await loadJobResult(job.id) : null),
+      callback: job.callback
+    };
+  }
+
+  // POST the finished job to its callbackUrl, retrying with exponential backoff
+  async function deliverCallback(job, body) {
+    const payload = JSON.stringify({ jobId: job.id, status: job.status, ...body });
+    
+    // Accepted while a secret was set (e.g. restored after a restart without one) - never send unsigned
+    if (!process.env.CALLBACK_SECRET) {
+      job.callback.status = 'failed';
+      job.callback.lastError = 'CALLBACK_SECRET not set - refusing to send an unsigned callback';
+      persistJob(job);
+      console.error(`❌ Callback for job ${job.id} not sent: CALLBACK_SECRET not set`);
+      return;
+    }
+    
+    for (let attempt = 1; attempt <= MEMORY_LIMITS.CALLBACK_MAX_ATTEMPTS; attempt++) {
+      job.callback.attempts = attempt;
+      
+      // Fresh timestamp per attempt so retries aren't rejected as stale
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Scrape-Job-Id': job.id,
+        'X-Scrape-Timestamp': timestamp,
+        'X-Scrape-Signature': signCallbackPayload(payload, process.env.CALLBACK_SECRET, timestamp)
+      };
+      
+      try {
+        const response = await fetch(job.callback.url, {
+          method: 'POST',
+          headers,
+          body: payload,
+          signal: AbortSignal.timeout(MEMORY_LIMITS.CALLBACK_TIMEOUT)
+        });
+        
+        if (!response.ok) {
+          throw new Error(`Callback responded with HTTP ${response.status}`);
+        }
+        
+        job.callback.status = 'delivered';
+        job.callback.lastError = null;
+        persistJob(job);
+        console.log(`📬 Callback delivered for job ${job.id} on attempt ${attempt}`);
+        return;
+      } catch (err) {
+        job.callback.lastError = err.message;
+        console.warn(`⚠️ Callback attempt ${attempt} for job ${job.id} failed: ${err.message}`);
+        
+        if (attempt < MEMORY_LIMITS.CALLBACK_MAX_ATTEMPTS) {
+          const delay = MEMORY_LIMITS.CALLBACK_RETRY_BASE * Math.pow(2, attempt - 1);
+          await new Promise(r => setTimeout(r, delay));
+        }
+      }
+    }
+    
+    job.callback.status = 'failed';
+    persistJob(job);
+    console.error(`❌ Callback delivery failed for job ${job.id} after ${job.callback.attempts} attempts`);
+  }
+
+  function isJobFinished(job) {
+    return job.status === 'done' || job.status === 'failed' || job.status === 'cancelled';
+  }
+
+  // Abort a queued or running job - queued ones leave the queue, running ones
+  // stop at the next checkpoint and hand their page back to the pool
+  function cancelJob(job, reason) {
+    if (isJobFinished(job) || job.signal.aborted) return false;
+    
+    console.log(`🛑 Cancelling job ${job.id}: ${reason}`);
+    job.abortController.abort(new Error(`Job cancelled: ${reason}`));
+    
+    // p-queue only drops an aborted task when its turn comes - don't make callers wait for that
+    if (!job.started) {
+      finishCancelledJob(job);
+    }
+    return true;
+  }
+
+  function finishCancelledJob(job) {
+    const error = job.signal.reason ? job.signal.reason.message : 'Job cancelled';
+    job.finishing = finishJob(job, { success: false, cancelled: true, error, login: jobLogin(job) }, 409, 'cancelled');
+  }
+
+  // `login` block for job failures that never reach priceScraper's own - the login it ran, else why none did.
+  // Batch jobs report login per item, so their failures get none
+  function jobLogin(job) {
+    if (job.context.urls) return undefined;
+    const { url, loginInstructions, credentials } = job.context;
+    return job.login || skippedLogin(url, loginInstructions, credentials);
+  }
+
+  async function finishJob(job, body, statusCode, status = body.success ? 'done' : 'failed') {
+    if (job.finalized) return;
+    job.finalized = true;
+    
+    job.result = body;
+    job.statusCode = statusCode;
+    job.resolveCompletion({ statusCode, body });
+    
+    if (inFlightJobs.get(job.fingerprint) === job.id) {
+      inFlightJobs.delete(job.fingerprint);
+    }
+    
+    // Result goes to disk first so a crash before the journal entry just re-runs the job
+    try {
+      await saveJobResult(job.id, body);
+      job.resultStored = true;
+    } catch (err) {
+      console.error(`❌ Failed to store result for job ${job.id}: ${err.message}`);
+    }
+    
+    setJobStatus(job, status);
+    emitJobEvent(job, 'end', { status: job.status, success: !!body.success, error: body.error });
+    
+    // Keep finished results on disk only - GET /jobs/:id reads them back
+    if (job.resultStored) job.result = null;
+    
+    if (job.callback && job.callback.status === 'pending') {
+      deliverCallback(job, body).catch((err) => {
+        console.error(`Callback error for job ${job.id}: ${err.message}`);
+      });
+    }
+  }
+
+  // Run a journaled job through the queue, counting each start as an attempt
+  function scheduleJob(job) {
+    if (job.context.urls) return scheduleBatchJob(job);
+    
+    const startTime = Date.now();
+    
+    addToLane(job.context.priority || DEFAULT_LANE, async () => {
+      job.started = true;
+      job.attempts++;
+      await persistJob(job);
+      return runScrapeJob(job.context, job);
+    }, { signal: job.signal })
+      .then((result) => {
+        const { statusCode, body } = buildScrapeResponse(result, startTime);
+        job.finishing = finishJob(job, body, statusCode);
+        
+        if (body.success) {
+          writeCachedResult(screenshotCacheKey(job.context), body);
+        }
+      })
+      .catch((err) => {
+        if (job.signal.aborted) {
+          finishCancelledJob(job);
+          return;
+        }
+        
+        console.error(`Job ${job.id} failed: ${err.message}`);
+        restartOnFatalError(err);
+        job.finishing = finishJob(job, { success: false, error: err.message, login: jobLogin(job) }, 500);
+      });
+  }
+
+  // Batch jobs queue each login group themselves (runBatch) - holding a slot here would starve them
+  function scheduleBatchJob(job) {
+    job.started = true;
+    job.attempts++;
+    setJobStatus(job, 'capturing');
+    
+    persistJob(job)
+      .then(() => runBatch(job.context, job.signal))
+      .then((body) => {
+        if (job.signal.aborted) {
+          finishCancelledJob(job);
+          return;
+        }
+        // The batch ran - per-URL failures are in its results, not the job status
+        job.finishing = finishJob(job, body, 200, 'done');
+      })
+      .catch((err) => {
+        if (job.signal.aborted) {
+          finishCancelledJob(job);
+          return;
+        }
+        
+        console.error(`Batch job ${job.id} failed: ${err.message}`);
+        job.finishing = finishJob(job, { success: false, error: err.message }, 500);
+      });
+  }
+
+  // Queue a scrape as a durable job (result via polling, callbackUrl or job.completion),
+  // or hand back the job an identical/replayed request already started
+  async function enqueueJob(context, idempotencyKey = null) {
+    const existing = findDuplicateJob(context, idempotencyKey);
+    if (existing) {
+      console.log(`♻️ Request deduplicated onto job ${existing.id}`);
+      return { job: existing, deduplicated: true };
+    }
     
-    isRestarting = true;
-    restartAttempts++;
+    const job = createJob(context, null, idempotencyKey);
+    await setJobStatus(job, 'queued');
     
-    if (restartAttempts > MAX_RESTART_ATTEMPTS) {
-      console.error('❌ Max restarts reached. Process will exit.');
-      process.exit(1);
+    // Fresh enough cached capture - finish without touching the browser
+    if (!context.noCache && !context.urls) {
+      const maxAgeMs = context.maxAge !== undefined ? context.maxAge * 1000 : SCREENSHOT_CACHE.TTL;
+      const cachedBody = await readCachedResult(screenshotCacheKey(context), maxAgeMs);
+      
+      if (cachedBody) {
+        console.log(`💾 Cache hit for ${context.url} (captured ${cachedBody.capturedAt})`);
+        await finishJob(job, { ...cachedBody, cached: true, processingTime: 0 }, 200);
+        return { job, deduplicated: false };
+      }
     }
     
-    console.log(`🔄 Browser restart ${restartAttempts}/${MAX_RESTART_ATTEMPTS} (with login support)`);
+    scheduleJob(job);
+    return { job, deduplicated: false };
+  }
+
+  // Reload the journal after a restart - unfinished jobs resume, repeat offenders fail
+  async function restoreJobs() {
+    const records = await loadJournal();
+    let resumed = 0;
     
-    try {
-      // Quick cleanup
-      if (pagePool) {
-        await pagePool.drain().catch(() => {});
-        await pagePool.clear().catch(() => {});
-      }
+    for (const record of records) {
+      const job = createJob(record.context, record);
       
-      if (browser) {
-        await browser.close().catch(() => {});
+      if (isJobFinished(job)) {
+        job.resolveCompletion({ statusCode: job.statusCode, body: null });
+        
+        // Finished, but the restart cut its callback short - send it again
+        if (job.callback && job.callback.status === 'pending') {
+          const body = await loadJobResult(job.id);
+          if (body) {
+            console.log(`📬 Resuming callback delivery for job ${job.id}`);
+            deliverCallback(job, body).catch((err) => {
+              console.error(`Callback error for job ${job.id}: ${err.message}`);
+            });
+          } else {
+            job.callback.status = 'failed';
+            job.callback.lastError = 'Job result no longer available after restart';
+          }
+        }
+        continue;
       }
       
-      // Force GC
-      if (typeof global.gc === 'function') {
-        global.gc();
+      if (job.credentialsOmitted) {
+        console.warn(`⚠️ Job ${job.id} needs credentials that aren't kept on disk, marking failed`);
+        await finishJob(job, {
+          success: false,
+          error: 'Job was interrupted by a server restart and its credentials are not stored - resubmit the request',
+          login: jobLogin(job)
+        }, 500);
+        continue;
       }
       
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      await initializeBrowser();
+      if (job.attempts >= JOB_STORE.MAX_ATTEMPTS) {
+        console.warn(`⚠️ Job ${job.id} interrupted ${job.attempts} times, marking failed`);
+        await finishJob(job, {
+          success: false,
+          error: `Job abandoned after ${job.attempts} interrupted attempts`,
+          login: jobLogin(job)
+        }, 500);
+        continue;
+      }
       
-      isRestarting = false;
-      console.log('🔄 Browser restarted with login capabilities');
-    } catch (error) {
-      console.error('Restart failed:', error);
-      isRestarting = false;
-      setTimeout(handleBrowserCrash, 5000);
+      job.status = 'queued';
+      scheduleJob(job);
+      resumed++;
     }
+    
+    await compactJournal([...jobs.values()].map(toJournalRecord));
+    console.log(`💾 Job store: ${jobs.size} job(s) restored, ${resumed} resumed from ${JOB_STORE.JOURNAL}`);
   }
 
-  await initializeBrowser();
+  function jobAcceptedResponse(job, deduplicated = false) {
+    return {
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`,
+      callbackUrl: job.callback ? job.callback.url : undefined,
+      deduplicated
+    };
+  }
 
-  // Request queue for n8n
-  const queue = new PQueue({ 
-    concurrency: MEMORY_LIMITS.QUEUE_CONCURRENCY,
-    timeout: MEMORY_LIMITS.REQUEST_TIMEOUT,
-    throwOnTimeout: true
-  });
+  // Drop finished jobs once they expire or the store grows too large
+  function pruneJobs() {
+    const now = Date.now();
+    const finished = [];
+
+    for (const job of jobs.values()) {
+      if (!isJobFinished(job)) continue;
+
+      if (now - job.updatedAt > MEMORY_LIMITS.JOB_RETENTION) {
+        removeJob(job);
+      } else {
+        finished.push(job);
+      }
+    }
+
+    // Map preserves insertion order, so the oldest jobs go first
+    const excess = finished.length - MEMORY_LIMITS.MAX_STORED_JOBS;
+    for (let i = 0; i < excess; i++) {
+      removeJob(finished[i]);
+    }
+    
+    if (journalRecordsSinceCompact > JOB_STORE.COMPACT_AFTER) {
+      compactJournal([...jobs.values()].map(toJournalRecord));
+    }
+  }
+
+  function removeJob(job) {
+    jobs.delete(job.id);
+    if (idempotencyKeys.get(job.idempotencyKey) === job.id) {
+      idempotencyKeys.delete(job.idempotencyKey);
+    }
+    appendJournal({ op: 'delete', id: job.id });
+    deleteJobResult(job.id);
+  }
+
+  setInterval(pruneJobs, 60000); // Every minute
 
   // Human-like typing for login forms
-  const humanType = async (page, selector, text) => {
+  const humanType = async (page, selector, text, timeout = MEMORY_LIMITS.LOGIN_STEP_TIMEOUT) => {
     try {
-      await page.waitForSelector(selector, { timeout: 10000 });
+      await page.waitForSelector(selector, { timeout });
       await page.focus(selector);
       await page.evaluate(sel => {
         const element = document.querySelector(sel);
@@ -361,6 +2563,15 @@ async function dismissCookies(page) {
     await new Promise(r => setTimeout(r, d));
   };
 
+  // Steps with `frame` run inside that iframe (embedded login widgets); the rest on the page itself
+  const resolveStepTarget = async (page, step, timeout) => {
+    if (!step.frame) return page;
+    const handle = await page.waitForSelector(step.frame, { timeout });
+    const frame = handle && await handle.contentFrame();
+    if (!frame) throw new Error(`No frame found for ${step.frame}`);
+    return frame;
+  };
+
   // Wait safely helper
   const waitSafely = async (page, ms) => {
     if (typeof page.waitForTimeout === 'function') {
@@ -370,393 +2581,813 @@ async function dismissCookies(page) {
     }
   };
 
-  // Full price scraper with login support (from your original server)
-  async function priceScraper(page, context) {
-    const { url, loginInstructions = [], credentials = {} } = context;
-    
-    // URL validation
-    if (!url || !isValidUrl(url)) {
-      console.error(`Invalid URL provided: ${url}`);
-      return { 
-        data: JSON.stringify({ 
-          success: false, 
-          error: `Invalid URL: ${url}. URL must start with http:// or https://` 
-        }), 
-        type: 'application/json' 
-      };
-    }
-    
-    if (page._isClosed) {
-      console.error(`Page ${page._poolId} closed before scraping could begin`);
-      return {
-        data: JSON.stringify({
-          success: false,
-          error: "Page was closed before scraping could begin"
-        }),
-        type: 'application/json'
-      };
-    }
-    
-    console.log(`🔍 Scraping ${url} with login support using page ${page._poolId}`);
-
+  // Set user agent & viewport
+  // `capture` (from captureOptionsFor) sets the viewport - pooled pages keep the previous job's otherwise
+  async function configurePage(page, capture = captureOptionsFor({})) {
     try {
-      // Set user agent & viewport
-      try {
-        await page.setUserAgent(
-          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
-          '(KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36'
-        );
-        await page.setViewport({ width: 1366, height: 768 });
-      } catch (configError) {
-        console.error(`Failed to configure browser: ${configError.message}`);
-        if (page._isClosed) {
-          throw new Error('Page closed during configuration');
-        }
-      }
-
-      // LOGIN LOGIC - Find matching login site
-      let loginSite = null;
-      try {
-        const domain = new URL(url).hostname.replace('www.', '');
-        loginSite = loginInstructions.find(site => {
-          try {
-            const sd = new URL(site.url).hostname.replace('www.', '');
-            return domain.includes(sd) || sd.includes(domain);
-          } catch (e) {
-            console.warn(`Invalid login site URL: ${site.url}`);
-            return false;
-          }
-        });
-      } catch (e) {
-        console.warn(`Error parsing URL domain: ${e.message}`);
+      await page.setUserAgent(
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+        '(KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36'
+      );
+      await page.setViewport({ width: capture.width, height: capture.height, deviceScaleFactor: capture.deviceScaleFactor });
+    } catch (configError) {
+      console.error(`Failed to configure browser: ${configError.message}`);
+      if (page._isClosed) {
+        throw new Error('Page closed during configuration');
       }
+    }
+  }
 
-      // PERFORM LOGIN if credentials available
-      if (loginSite && credentials[loginSite.site.toLowerCase()]) {
-        console.log(`🔐 Logging in to ${loginSite.site} for price access`);
+  // Run the matched login site steps (session cookies carry over to later navigation)
+  async function performLogin(page, loginSite, credentials, job = null, signal = job && job.signal) {
+    console.log(`🔐 Logging in to ${loginSite.site} for price access`);
+    setJobStatus(job, 'logging-in');
+    let loginSuccess = false;
+    let loginReason = 'login did not complete';
+    
+    try {
+      if (!isValidUrl(loginSite.url)) {
+        console.warn(`Invalid login URL: ${loginSite.url}, skipping login`);
+        loginReason = `invalid login URL ${loginSite.url}`;
+      } else {
+        if (page._isClosed) throw new Error('Page closed before login');
         
-        try {
-          if (!isValidUrl(loginSite.url)) {
-            console.warn(`Invalid login URL: ${loginSite.url}, skipping login`);
-          } else {
-            if (page._isClosed) throw new Error('Page closed before login');
-            
-            // Navigate to login page
-            await page.goto(loginSite.url, { 
-              waitUntil: 'domcontentloaded',
-              timeout: MEMORY_LIMITS.PAGE_TIMEOUT
-            });
-            await waitSafely(page, 2000);
-            
-            // Check for Winsupply location redirect
-            const currentLoginUrl = page.url();
-            let loginSuccess = false;
-            let stepSuccess = 0;
+        // Navigate to login page
+        await cancellable(signal, page.goto(loginSite.url, { 
+          waitUntil: 'domcontentloaded',
+          timeout: MEMORY_LIMITS.PAGE_TIMEOUT
+        }));
+        await waitSafely(page, 2000);
+        
+        // Check for Winsupply location redirect
+        const currentLoginUrl = page.url();
+        let stepSuccess = 0;
+        let optionalSkipped = 0;
+        
+        if (loginSite.site.toLowerCase() === 'winsupply' && currentLoginUrl.includes('/Location/')) {
+          console.log('🔄 Detected Winsupply redirect to location page, skipping login process');
+          loginSuccess = true;
+          loginReason = 'Winsupply location page - already signed in';
+          reportProgress(job, 'login-skipped', { reason: 'winsupply-location-redirect' });
+          
+          if (!page._isClosed) {
+            const locationScreenshot = await page.screenshot({ type: 'jpeg', quality: 60 });
+            console.log(`📍 Location page loaded, size: ${locationScreenshot.length} bytes`);
+          }
+        } else {
+          // Process normal login steps
+          try {
+            if (!page._isClosed) {
+              const loginScreenshot = await page.screenshot({ type: 'jpeg', quality: 60 });
+              console.log(`📋 Login page loaded, size: ${loginScreenshot.length} bytes`);
+            } else {
+              throw new Error('Page closed during login screenshot');
+            }
             
-            if (loginSite.site.toLowerCase() === 'winsupply' && currentLoginUrl.includes('/Location/')) {
-              console.log('🔄 Detected Winsupply redirect to location page, skipping login process');
-              loginSuccess = true;
+            // Execute login steps
+            let previousStepUrl = page.url();
+            for (const [stepIndex, step] of loginSite.steps.entries()) {
+              if (page._isClosed) throw new Error('Page closed during login steps');
+              throwIfCancelled(signal);
+              const succeededBefore = stepSuccess;
+              const stepTimeout = step.timeout || MEMORY_LIMITS.LOGIN_STEP_TIMEOUT;
+              const stepStartUrl = page.url();
               
-              if (!page._isClosed) {
-                const locationScreenshot = await page.screenshot({ type: 'jpeg', quality: 60 });
-                console.log(`📍 Location page loaded, size: ${locationScreenshot.length} bytes`);
-              }
-            } else {
-              // Process normal login steps
               try {
-                if (!page._isClosed) {
-                  const loginScreenshot = await page.screenshot({ type: 'jpeg', quality: 60 });
-                  console.log(`📋 Login page loaded, size: ${loginScreenshot.length} bytes`);
-                } else {
-                  throw new Error('Page closed during login screenshot');
-                }
+                console.log(`🔧 Executing login step: ${step.type}${step.frame ? ` in frame ${step.frame}` : ''}`);
+                const target = await cancellable(signal, resolveStepTarget(page, step, stepTimeout));
                 
-                // Execute login steps
-                for (const step of loginSite.steps) {
-                  if (page._isClosed) throw new Error('Page closed during login steps');
-                  
-                  try {
-                    console.log(`🔧 Executing login step: ${step.type}`);
-                    
-                    switch (step.type) {
-                      case 'input': {
-                        const val = credentials[loginSite.site.toLowerCase()][step.valueKey] || '';
-                        const inputSuccess = await humanType(page, step.selector, val);
-                        if (inputSuccess) stepSuccess++;
-                        break;
+                switch (step.type) {
+                  case 'input': {
+                    const val = credentials[loginSite.site.toLowerCase()][step.valueKey] || '';
+                    const inputSuccess = await humanType(target, step.selector, val, stepTimeout);
+                    if (inputSuccess) stepSuccess++;
+                    break;
+                  }
+                  case 'click': {
+                    try {
+                      await target.waitForSelector(step.selector, { timeout: stepTimeout });
+                      const el = await target.$(step.selector);
+                      if (el) {
+                        const box = await el.boundingBox();
+                        if (box) {
+                          await page.mouse.move(
+                            box.x + box.width/2 + (Math.random()*10-5),
+                            box.y + box.height/2 + (Math.random()*10-5),
+                            { steps: Math.floor(Math.random()*5)+3 }
+                          );
+                          await randomDelay(100, 300);
+                          await el.click({ delay: Math.floor(Math.random()*100)+50 });
+                          stepSuccess++;
+                        }
                       }
-                      case 'click': {
-                        try {
-                          await page.waitForSelector(step.selector, { timeout: 10000 });
-                          const el = await page.$(step.selector);
-                          if (el) {
-                            const box = await el.boundingBox();
-                            if (box) {
-                              await page.mouse.move(
-                                box.x + box.width/2 + (Math.random()*10-5),
-                                box.y + box.height/2 + (Math.random()*10-5),
-                                { steps: Math.floor(Math.random()*5)+3 }
-                              );
-                              await randomDelay(100, 300);
-                              await el.click({ delay: Math.floor(Math.random()*100)+50 });
-                              stepSuccess++;
-                            }
+                    } catch (err) {
+                      console.warn(`Click failed for ${step.selector}: ${err.message}`);
+                    }
+                    break;
+                  }
+                  case 'clickText': {
+                    await randomDelay(500, 1500);
+                    try {
+                      if (typeof target.$x === 'function') {
+                        const els = await target.$x(`//*[contains(text(), '${step.text}')]`);
+                        if (els.length) {
+                          const b = await els[0].boundingBox();
+                          if (b) {
+                            await page.mouse.move(
+                              b.x + b.width/2, b.y + b.height/2,
+                              { steps: Math.floor(Math.random()*5)+3 }
+                            );
+                            await randomDelay(100, 300);
+                            await els[0].click({ delay: Math.floor(Math.random()*100)+50 });
+                            stepSuccess++;
                           }
-                        } catch (err) {
-                          console.warn(`Click failed for ${step.selector}: ${err.message}`);
                         }
-                        break;
-                      }
-                      case 'clickText': {
-                        await randomDelay(500, 1500);
-                        try {
-                          if (typeof page.$x === 'function') {
-                            const els = await page.$x(`//*[contains(text(), '${step.text}')]`);
-                            if (els.length) {
-                              const b = await els[0].boundingBox();
-                              if (b) {
-                                await page.mouse.move(
-                                  b.x + b.width/2, b.y + b.height/2,
-                                  { steps: Math.floor(Math.random()*5)+3 }
-                                );
-                                await randomDelay(100, 300);
-                                await els[0].click({ delay: Math.floor(Math.random()*100)+50 });
-                                stepSuccess++;
-                              }
-                            }
-                          } else {
-                            const clicked = await page.evaluate((text) => {
-                              const elements = [...document.querySelectorAll('*')]
-                                .filter(e => e.textContent.includes(text) && 
-                                        e.offsetWidth > 0 && 
-                                        e.offsetHeight > 0);
-                              
-                              if (elements.length > 0) {
-                                elements[0].click();
-                                return true;
-                              }
-                              return false;
-                            }, step.text);
-                            
-                            if (clicked) {
-                              console.log(`Clicked text '${step.text}' using evaluate fallback`);
-                              stepSuccess++;
-                            }
+                      } else {
+                        const clicked = await target.evaluate((text) => {
+                          const elements = [...document.querySelectorAll('*')]
+                            .filter(e => e.textContent.includes(text) && 
+                                    e.offsetWidth > 0 && 
+                                    e.offsetHeight > 0);
+                          
+                          if (elements.length > 0) {
+                            elements[0].click();
+                            return true;
                           }
-                        } catch (err) {
-                          console.warn(`Click text failed for '${step.text}': ${err.message}`);
+                          return false;
+                        }, step.text);
+                        
+                        if (clicked) {
+                          console.log(`Clicked text '${step.text}' using evaluate fallback`);
+                          stepSuccess++;
                         }
-                        break;
                       }
-                      case 'wait':
-                        await waitSafely(page, step.time || 1500);
-                        stepSuccess++;
-                        break;
+                    } catch (err) {
+                      console.warn(`Click text failed for '${step.text}': ${err.message}`);
+                    }
+                    break;
+                  }
+                  case 'wait':
+                    await waitSafely(page, step.time || 1500);
+                    stepSuccess++;
+                    break;
+                  case 'select': {
+                    const value = step.valueKey ? credentials[loginSite.site.toLowerCase()][step.valueKey] : step.value;
+                    await target.waitForSelector(step.selector, { timeout: stepTimeout });
+                    const selected = await target.select(step.selector, String(value ?? ''));
+                    if (selected.length > 0) {
+                      stepSuccess++;
+                    } else {
+                      console.warn(`Select found no option "${value}" in ${step.selector}`);
+                    }
+                    break;
+                  }
+                  case 'press': {
+                    if (step.selector) {
+                      await target.waitForSelector(step.selector, { timeout: stepTimeout });
+                      await target.focus(step.selector);
+                    }
+                    await randomDelay(100, 300);
+                    await page.keyboard.press(step.key, { delay: Math.floor(Math.random()*100)+50 });
+                    stepSuccess++;
+                    break;
+                  }
+                  case 'waitForSelector':
+                    await cancellable(signal, target.waitForSelector(step.selector, { timeout: stepTimeout, hidden: !!step.hidden }));
+                    stepSuccess++;
+                    break;
+                  case 'waitForNavigation': {
+                    // The click/press before this step may already have navigated during the pause between steps
+                    if (page.url() === previousStepUrl) {
+                      await cancellable(signal, target.waitForNavigation({
+                        waitUntil: step.waitUntil || 'domcontentloaded',
+                        timeout: stepTimeout
+                      }));
+                    }
+                    stepSuccess++;
+                    break;
+                  }
+                  case 'check': {
+                    await target.waitForSelector(step.selector, { timeout: stepTimeout });
+                    const checked = await target.$eval(step.selector, el => !!el.checked);
+                    if (checked !== (step.checked !== false)) {
+                      await randomDelay(100, 300);
+                      await target.click(step.selector, { delay: Math.floor(Math.random()*100)+50 });
                     }
-                    await waitSafely(page, 1000 + Math.random() * 1000);
-                    
-                  } catch (err) {
-                    console.warn(`Login step error (${step.type}): ${err.message}`);
-                    if (page._isClosed) throw new Error('Page closed during login step');
+                    stepSuccess++;
+                    break;
                   }
+                  case 'hover':
+                    await target.waitForSelector(step.selector, { timeout: stepTimeout });
+                    await target.hover(step.selector);
+                    await randomDelay(300, 800); // Let hover menus open
+                    stepSuccess++;
+                    break;
+                  default:
+                    throw new Error(`Unknown login step type: ${step.type}`);
                 }
-                
-                // Check for successful login
-                await waitSafely(page, 3000);
-                
-                if (page._isClosed) throw new Error('Page closed after login steps');
-                
-                const currentUrl = page.url();
-                
-                if (currentUrl !== loginSite.url) {
-                  console.log('✅ Login succeeded - URL changed');
-                  loginSuccess = true;
-                } else if (stepSuccess >= loginSite.steps.length * 0.75) {
-                  console.log('✅ Login probably succeeded - most steps completed');
-                  loginSuccess = true;
-                } else {
-                  console.log('❌ Login may have failed - URL unchanged and some steps failed');
+                if (step.optional && stepSuccess === succeededBefore) {
+                  console.log(`⏭️ Optional login step ${step.type} did not complete, continuing`);
+                  optionalSkipped++;
                 }
+                reportProgress(job, 'login-step', {
+                  index: stepIndex,
+                  type: step.type,
+                  optional: !!step.optional,
+                  success: stepSuccess > succeededBefore
+                });
+                await waitSafely(page, 1000 + Math.random() * 1000);
                 
-                // Post-login screenshot
-                if (!page._isClosed) {
-                  const postLoginScreenshot = await page.screenshot({ type: 'jpeg', quality: 60 });
-                  console.log(`📊 Post-login screenshot size: ${postLoginScreenshot.length} bytes`);
+              } catch (err) {
+                throwIfCancelled(signal);
+                if (step.optional) {
+                  console.log(`⏭️ Optional login step ${step.type} skipped: ${err.message}`);
+                  optionalSkipped++;
+                } else {
+                  console.warn(`Login step error (${step.type}): ${err.message}`);
                 }
-              } catch (loginStepsError) {
-                console.error(`❌ Login steps error: ${loginStepsError.message}`);
-                if (page._isClosed) throw new Error('Page closed during login process');
+                reportProgress(job, 'login-step', {
+                  index: stepIndex,
+                  type: step.type,
+                  optional: !!step.optional,
+                  success: false,
+                  error: err.message
+                });
+                if (page._isClosed) throw new Error('Page closed during login step');
               }
+              previousStepUrl = stepStartUrl;
+            }
+            
+            // Check for successful login
+            await waitSafely(page, 3000);
+            
+            if (page._isClosed) throw new Error('Page closed after login steps');
+            
+            const criteria = await cancellable(signal, checkLoginCriteria(page, loginSite, MEMORY_LIMITS.LOGIN_STEP_TIMEOUT));
+            const currentUrl = page.url();
+            
+            if (criteria) {
+              // The site said what success looks like - no guessing
+              loginSuccess = criteria.succeeded;
+              loginReason = criteria.reason;
+              console.log(`${loginSuccess ? '✅ Login succeeded' : '❌ Login failed'} - ${loginReason}`);
+            } else if (currentUrl !== loginSite.url) {
+              console.log('✅ Login succeeded - URL changed');
+              loginSuccess = true;
+              loginReason = 'URL changed after login steps';
+            } else if (stepSuccess + optionalSkipped >= loginSite.steps.length * 0.75) {
+              console.log('✅ Login probably succeeded - most steps completed');
+              loginSuccess = true;
+              loginReason = 'most login steps completed';
+            } else {
+              console.log('❌ Login may have failed - URL unchanged and some steps failed');
+              loginReason = 'URL unchanged and some login steps failed';
             }
+            
+            // Post-login screenshot
+            if (!page._isClosed) {
+              const postLoginScreenshot = await page.screenshot({ type: 'jpeg', quality: 60 });
+              console.log(`📊 Post-login screenshot size: ${postLoginScreenshot.length} bytes`);
+            }
+          } catch (loginStepsError) {
+            throwIfCancelled(signal);
+            console.error(`❌ Login steps error: ${loginStepsError.message}`);
+            loginReason = `login steps error: ${loginStepsError.message}`;
+            if (page._isClosed) throw new Error('Page closed during login process');
           }
-        } catch (loginError) {
-          console.error(`❌ Login process error: ${loginError.message}`);
-          if (page._isClosed) throw new Error('Page closed during login process');
         }
       }
+    } catch (loginError) {
+      throwIfCancelled(signal);
+      console.error(`❌ Login process error: ${loginError.message}`);
+      loginReason = `login error: ${loginError.message}`;
+      if (page._isClosed) throw new Error('Page closed during login process');
+    }
+    
+    reportProgress(job, 'login-result', { site: loginSite.site, succeeded: loginSuccess, reason: loginReason });
+    return { attempted: true, succeeded: loginSuccess, reason: loginReason };
+  }
 
-      // NAVIGATE TO TARGET URL (after login if applicable)
-      console.log(`🌐 Navigating to target URL: ${url}`);
-      
-      if (page._isClosed) throw new Error('Page closed before navigation');
-      
-      // Navigation with retries
-      let navigationSuccessful = false;
-      for (let attempt = 1; attempt <= 3; attempt++) {
+  // Navigate, scroll, dismiss cookies and capture the price screenshot
+  // `login` is the performLogin result (null when no login ran) - it decides whether a hidden price fails the request
+  async function captureTargetPage(page, context, job = null, signal = job && job.signal, login = null) {
+    const { url } = context;
+    console.log(`🌐 Navigating to target URL: ${url}`);
+    setJobStatus(job, 'navigating');
+    
+    if (page._isClosed) throw new Error('Page closed before navigation');
+    
+    // Navigation with retries
+    let navigationSuccessful = false;
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      try {
+        if (page._isClosed) throw new Error('Page closed during navigation attempt');
+        
+        await cancellable(signal, page.goto(url, { 
+          waitUntil: 'domcontentloaded',
+          timeout: MEMORY_LIMITS.PAGE_TIMEOUT
+        }));
+        navigationSuccessful = true;
+        console.log(`✅ Navigation successful on attempt ${attempt}`);
+        reportProgress(job, 'navigation-attempt', { attempt, success: true });
+        break;
+      } catch (navError) {
+        throwIfCancelled(signal);
+        console.warn(`⚠️ Navigation attempt ${attempt} failed: ${navError.message}`);
+        reportProgress(job, 'navigation-attempt', { attempt, success: false, error: navError.message });
+        
+        if (page._isClosed) throw new Error('Page closed during navigation');
+        
+        if (attempt === 3) {
+          console.error('❌ All navigation attempts failed');
+          throw navError;
+        }
+        
+        await waitSafely(page, 5000);
         try {
-          if (page._isClosed) throw new Error('Page closed during navigation attempt');
-          
-          await page.goto(url, { 
-            waitUntil: 'domcontentloaded',
-            timeout: MEMORY_LIMITS.PAGE_TIMEOUT
-          });
-          navigationSuccessful = true;
-          console.log(`✅ Navigation successful on attempt ${attempt}`);
-          break;
-        } catch (navError) {
-          console.warn(`⚠️ Navigation attempt ${attempt} failed: ${navError.message}`);
-          
-          if (page._isClosed) throw new Error('Page closed during navigation');
-          
-          if (attempt === 3) {
-            console.error('❌ All navigation attempts failed');
-            throw navError;
+          if (!page._isClosed) {
+            await Promise.race([
+              page.evaluate(() => {
+                window.stop();
+                if (window.alert) window.alert = () => true;
+                if (window.confirm) window.confirm = () => true;
+                if (window.prompt) window.prompt = () => '';
+              }),
+              new Promise(r => setTimeout(r, 1000))
+            ]);
           }
-          
-          await waitSafely(page, 5000);
-          try {
-            if (!page._isClosed) {
-              await Promise.race([
-                page.evaluate(() => {
-                  window.stop();
-                  if (window.alert) window.alert = () => true;
-                  if (window.confirm) window.confirm = () => true;
-                  if (window.prompt) window.prompt = () => '';
-                }),
-                new Promise(r => setTimeout(r, 1000))
-              ]);
-            }
-          } catch (e) {}
+        } catch (e) {}
+      }
+    }
+    
+    // SCROLL PAGE for price visibility
+    if (navigationSuccessful && !page._isClosed) {
+      reportProgress(job, 'scrolling');
+      try {
+        await cancellable(signal, page.evaluate(async () => {
+          const h = document.body.scrollHeight;
+          let pos = 0;
+          while (pos < h) {
+            const step = Math.floor(Math.random()*100)+100;
+            window.scrollBy(0, step);
+            pos += step;
+            await new Promise(r => setTimeout(r, Math.floor(Math.random()*300)+200));
+          }
+          if (Math.random()>0.7) {
+            window.scrollBy(0, -Math.floor(Math.random()*400)-200);
+            await new Promise(r => setTimeout(r, Math.floor(Math.random()*200)+100));
+          }
+        }));
+        await randomDelay(1000, 3000);
+      } catch (scrollError) {
+        throwIfCancelled(signal);
+        console.warn('⚠️ Error during scrolling:', scrollError.message);
+        if (page._isClosed) throw new Error('Page closed during scrolling');
+      }
+    }
+
+    // DISMISS COOKIES
+    throwIfCancelled(signal);
+    if (!page._isClosed) {
+      reportProgress(job, 'dismissing-cookies');
+      await dismissCookies(page);
+    }
+
+    // EXTRACT configured price fields while the DOM is settled
+    const extras = {};
+    const extractConfig = extractConfigFor(context);
+    if (extractConfig && !page._isClosed) {
+      reportProgress(job, 'extracting');
+      try {
+        extras.data = await cancellable(signal, extractPageData(page, extractConfig));
+        console.log(`🏷️ Extracted price: ${extras.data.price} ${extras.data.currency || ''}`);
+      } catch (extractError) {
+        throwIfCancelled(signal);
+        console.warn('⚠️ Price extraction failed:', extractError.message);
+        extras.data = { error: extractError.message };
+      }
+    }
+    
+    // schema.org Product/Offer markup needs no per-site setup, so always look for it
+    if (!page._isClosed) {
+      try {
+        extras.product = await cancellable(signal, extractStructuredProduct(page));
+        if (extras.product) {
+          console.log(`🧾 Found ${extras.product.source} product: ${extras.product.price} ${extras.product.currency || ''}`);
+        }
+      } catch (productError) {
+        throwIfCancelled(signal);
+        console.warn('⚠️ Structured product extraction failed:', productError.message);
+        extras.product = null;
+      }
+    }
+    
+    // IDENTITY - what the page says it is, and whether that's what the request expected
+    if (!page._isClosed) {
+      try {
+        const { identity, evidence } = await cancellable(signal,
+          extractProductIdentity(page, extractConfig, context.expect, extras.product, context.url));
+        extras.identity = identity;
+        if (context.expect) {
+          extras.match = matchProductIdentity(context.expect, identity, evidence);
+          console.log(`🔎 Page match: ${extras.match.status} (${extras.match.reasons.join('; ') || 'no reasons'})`);
+        }
+      } catch (identityError) {
+        throwIfCancelled(signal);
+        console.warn('⚠️ Identity extraction failed:', identityError.message);
+        extras.identity = null;
+        if (context.expect) {
+          extras.match = { status: 'uncertain', matched: false, reasons: [`identity extraction failed: ${identityError.message}`], checks: {} };
         }
       }
+    }
+    
+    // AVAILABILITY - per-site selectors, or whatever the extractors above already found
+    if (!page._isClosed) {
+      try {
+        extras.availability = await cancellable(signal, extractAvailability(page, availabilityConfigFor(context), extras));
+      } catch (availabilityError) {
+        throwIfCancelled(signal);
+        console.warn('⚠️ Availability extraction failed:', availabilityError.message);
+        extras.availability = null;
+      }
+    }
+    
+    // UNIT PRICE - compare suppliers that sell per box, per 100 ft or per CWT
+    extras.unitPrice = normalizeUnitPrice(extras, context.units);
+    
+    // QUANTITY BREAKS - tier table, plus what `quantity` would actually cost
+    if (!page._isClosed) {
+      try {
+        extras.tierPricing = await cancellable(signal, extractTierTable(page, tierConfigFor(context) || {},
+          extractConfig ? extractConfig.currency : null));
+      } catch (tierError) {
+        throwIfCancelled(signal);
+        console.warn('⚠️ Tier table extraction failed:', tierError.message);
+        extras.tierPricing = null;
+      }
+    }
+    if (context.quantity) {
+      extras.quantityPrice = priceForQuantity(context.quantity, extras.tierPricing, extras);
+    }
+    
+    // PRICE STATE - "log in to see price" and friends, looked for around the price only
+    if (!page._isClosed) {
+      let signals = { phrase: null, loginForm: false, scope: 'page' };
+      const priceField = extractConfig && extractConfig.price;
+      const priceSpec = typeof priceField === 'string' ? { selector: priceField } : priceField || {};
+      try {
+        signals = (await cancellable(signal, detectPriceSignals(page, {
+          price: priceSpec.type === 'xpath' ? null : priceSpec.selector || null,
+          capture: captureOptionsFor(context).selector
+        }))) || signals;
+      } catch (signalError) {
+        throwIfCancelled(signal);
+        console.warn('⚠️ Price state detection failed:', signalError.message);
+      }
       
-      // SCROLL PAGE for price visibility
-      if (navigationSuccessful && !page._isClosed) {
+      const { state, evidence } = classifyPriceState(signals, extras);
+      extras.priceState = state;
+      extras.priceStateEvidence = evidence;
+      
+      // Hidden despite credentials only fails the request with proof the login didn't take:
+      // the login check said so, a login form is showing, or the price area itself asks for a login
+      const site = findLoginSite(url, context.loginInstructions || []);
+      const hasCredentials = !!(site && context.credentials && context.credentials[site.site.toLowerCase()]);
+      const loginFailed = (login && login.attempted && !login.succeeded) || signals.loginForm || state === 'login_required';
+      if (!PRICE_VISIBLE_STATES.includes(state) && hasCredentials && loginFailed) {
+        console.warn(`🔒 Price hidden (${state}) despite ${site.site} credentials: ${evidence}`);
+        extras.error = `Price hidden on page (${state}) despite credentials for ${site.site}`;
+      }
+    }
+    
+    // PRICE ELEMENT - where the price sits, for highlighting and for the caller's own cropping
+    if ((context.highlightPrice || extractConfig) && !page._isClosed) {
+      try {
+        extras.priceElement = await cancellable(signal, locatePriceElement(page, extractConfig));
+      } catch (locateError) {
+        throwIfCancelled(signal);
+        console.warn('⚠️ Locating price element failed:', locateError.message);
+        extras.priceElement = null;
+      }
+    }
+    
+    // SNAPSHOTS - archived copies of the page as the price was read (after cookie banners are gone)
+    const outputs = requestedOutputs(context);
+    const snapshotTypes = outputs.filter(type => type !== 'screenshot');
+    if (snapshotTypes.length > 0) {
+      extras.outputs = {};
+      for (const type of snapshotTypes) {
+        if (page._isClosed) throw new Error('Page closed during snapshot');
         try {
-          await page.evaluate(async () => {
-            const h = document.body.scrollHeight;
-            let pos = 0;
-            while (pos < h) {
-              const step = Math.floor(Math.random()*100)+100;
-              window.scrollBy(0, step);
-              pos += step;
-              await new Promise(r => setTimeout(r, Math.floor(Math.random()*300)+200));
-            }
-            if (Math.random()>0.7) {
-              window.scrollBy(0, -Math.floor(Math.random()*400)-200);
-              await new Promise(r => setTimeout(r, Math.floor(Math.random()*200)+100));
-            }
-          });
-          await randomDelay(1000, 3000);
-        } catch (scrollError) {
-          console.warn('⚠️ Error during scrolling:', scrollError.message);
-          if (page._isClosed) throw new Error('Page closed during scrolling');
+          const content = await cancellable(signal, captureSnapshot(page, type));
+          extras.outputs[type] = await encodeOutput(content, context.compressOutputs);
+          reportProgress(job, 'snapshot', { type, bytes: extras.outputs[type].bytes });
+        } catch (snapshotError) {
+          throwIfCancelled(signal);
+          console.warn(`⚠️ ${type} snapshot failed:`, snapshotError.message);
+          extras.outputs[type] = { error: snapshotError.message };
         }
       }
+    }
+    
+    if (!outputs.includes('screenshot')) {
+      return { data: null, type: 'snapshot', extras };
+    }
 
-      // DISMISS COOKIES
+    // TAKE SCREENSHOT with price-quality settings
+    if (page._isClosed) {
+      throw new Error('Page closed before taking screenshot');
+    }
+    
+    console.log(`📸 Taking screenshot for price analysis with page ${page._poolId}`);
+    setJobStatus(job, 'capturing');
+    
+    // Memory cleanup before screenshot
+    try {
       if (!page._isClosed) {
-        await dismissCookies(page);
+        await page.evaluate(() => {
+          if (typeof window.gc === 'function') window.gc();
+        });
       }
-
-      // TAKE SCREENSHOT with price-quality settings
-      if (page._isClosed) {
-        throw new Error('Page closed before taking screenshot');
+    } catch (e) {
+      console.warn('Memory cleanup failed:', e.message);
+      if (page._isClosed) throw new Error('Page closed during memory cleanup');
+    }
+    
+    // CAPTURE REGION - the captureSelector element (plus padding) when it's on the page,
+    // otherwise whatever captureMode asks for
+    const capture = captureOptionsFor(context);
+    let region = null;
+    
+    if (capture.selector) {
+      try {
+        region = await cancellable(signal, locateCaptureRegion(page, capture.selector, capture.padding));
+        if (!region) {
+          console.warn(`⚠️ captureSelector ${capture.selector} not found - using ${capture.mode} capture`);
+        }
+      } catch (regionError) {
+        throwIfCancelled(signal);
+        console.warn('⚠️ Locating capture region failed:', regionError.message);
       }
+    }
+    
+    let clips = [{ x: 0, y: 0, width: capture.width, height: capture.height }];
+    let pageHeight = null;
+    
+    if (region) {
+      clips = [region.clip];
+    } else if (capture.mode !== 'viewport') {
+      try {
+        pageHeight = await page.evaluate(() =>
+          Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0));
+      } catch (e) {
+        console.warn('Page height lookup failed:', e.message);
+      }
+      clips = captureClipsFor(capture, pageHeight || capture.height);
+    }
+    
+    extras.capture = {
+      mode: region ? 'element' : capture.mode,
+      clip: region ? region.clip : { ...clips[0], height: clips.reduce((sum, c) => sum + c.height, 0) },
+      ...(capture.selector ? { selector: capture.selector, found: !!region } : {}),
+      ...(region ? { element: region.element } : {}),
+      ...(pageHeight !== null ? { pageHeight, truncated: pageHeight > MEMORY_LIMITS.MAX_CAPTURE_HEIGHT } : {})
+    };
+    
+    // Where the price lands in the returned image (image pixels), if it's inside the capture
+    if (extras.priceElement) {
+      const box = extras.priceElement.boundingBox;
+      const clip = extras.capture.clip;
+      const inside = box.x < clip.x + clip.width && box.x + box.width > clip.x &&
+        box.y < clip.y + clip.height && box.y + box.height > clip.y;
+      extras.priceElement.imageBox = inside ? {
+        x: Math.round((box.x - clip.x) * capture.deviceScaleFactor),
+        y: Math.round((box.y - clip.y) * capture.deviceScaleFactor),
+        width: Math.round(box.width * capture.deviceScaleFactor),
+        height: Math.round(box.height * capture.deviceScaleFactor)
+      } : null;
+    }
+    
+    let highlighted = false;
+    if (context.highlightPrice && extras.priceElement) {
+      const raw = extras.data && extras.data.raw ? extras.data.raw.price : null;
+      const label = raw ? raw.slice(0, 40)
+        : extras.product && extras.product.price !== null ? `${extras.product.price} ${extras.product.currency || ''}`.trim() : 'Price';
+      try {
+        await drawPriceHighlight(page, extras.priceElement.boundingBox, label);
+        highlighted = true;
+      } catch (highlightError) {
+        console.warn('⚠️ Drawing price highlight failed:', highlightError.message);
+      }
+    }
+    extras.priceHighlighted = highlighted;
+    
+    try {
+      const screenshot = await screenshotWithRetries(page, clips[0], capture, job, signal);
       
-      console.log(`📸 Taking screenshot for price analysis with page ${page._poolId}`);
-      
-      // Memory cleanup before screenshot
-      try {
-        if (!page._isClosed) {
-          await page.evaluate(() => {
-            if (typeof window.gc === 'function') window.gc();
-          });
+      // Segments: one viewport-high tile per offset - the first doubles as imageBase64
+      if (clips.length > 1) {
+        extras.segments = [{ y: clips[0].y, height: clips[0].height, imageBase64: screenshot.toString('base64') }];
+        for (const clip of clips.slice(1)) {
+          const tile = await screenshotWithRetries(page, clip, capture, job, signal);
+          extras.segments.push({ y: clip.y, height: clip.height, imageBase64: tile.toString('base64') });
         }
-      } catch (e) {
-        console.warn('Memory cleanup failed:', e.message);
-        if (page._isClosed) throw new Error('Page closed during memory cleanup');
+        console.log(`🧩 Captured ${clips.length} segments covering ${extras.capture.clip.height}px`);
       }
       
-      // Screenshot with retries
-      let screenshot = null;
-      for (let attempt = 1; attempt <= 3; attempt++) {
-        try {
-          if (page._isClosed) throw new Error('Page closed before screenshot attempt');
-          
-          console.log(`📸 Screenshot attempt ${attempt}`);
-          screenshot = await Promise.race([
-            page.screenshot({ 
-              type: 'jpeg', 
-              quality: MEMORY_LIMITS.SCREENSHOT_QUALITY, // Higher quality for price text
-              fullPage: false, 
-              clip: {x:0, y:0, width: MEMORY_LIMITS.SCREENSHOT_WIDTH, height: MEMORY_LIMITS.SCREENSHOT_HEIGHT}
-            }),
-            new Promise((_, reject) => 
-              setTimeout(() => reject(new Error('Screenshot timeout')), 45000)
-            )
-          ]);
-          console.log(`✅ Screenshot captured successfully on attempt ${attempt} (${screenshot.length} bytes)`);
-          break;
-        } catch (screenshotError) {
-          console.warn(`⚠️ Screenshot attempt ${attempt} failed:`, screenshotError.message);
-          
-          if (page._isClosed) throw new Error('Page closed during screenshot');
+      return { data: screenshot, type: `image/${capture.format}`, extras };
+    } finally {
+      // Batches reuse the page - don't leave the overlay for the next capture
+      if (highlighted) await removePriceHighlight(page);
+    }
+  }
+
+  // Serialized DOM, MHTML archive (via CDP) or visible text of the current page
+  async function captureSnapshot(page, type) {
+    if (type === 'html') {
+      return page.content();
+    }
+    
+    if (type === 'text') {
+      return page.evaluate(() => document.body ? document.body.innerText : '');
+    }
+    
+    const client = await page.createCDPSession();
+    try {
+      const { data } = await client.send('Page.captureSnapshot', { format: 'mhtml' });
+      return data;
+    } finally {
+      await client.detach().catch(() => {});
+    }
+  }
+
+  // Screenshot one clip with retries, then a smaller lower-quality fallback
+  async function screenshotWithRetries(page, clip, capture, job = null, signal = job && job.signal) {
+    const quality = (value) => capture.quality === null ? {} : { quality: value };
+    let screenshot = null;
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      try {
+        if (page._isClosed) throw new Error('Page closed before screenshot attempt');
+        throwIfCancelled(signal);
+        
+        console.log(`📸 Screenshot attempt ${attempt}`);
+        screenshot = await Promise.race([
+          page.screenshot({ 
+            type: capture.format, 
+            ...quality(capture.quality), // Higher quality for price text
+            fullPage: false, 
+            clip
+          }),
+          new Promise((_, reject) => 
+            setTimeout(() => reject(new Error('Screenshot timeout')), 45000)
+          )
+        ]);
+        console.log(`✅ Screenshot captured successfully on attempt ${attempt} (${screenshot.length} bytes)`);
+        reportProgress(job, 'screenshot-attempt', { attempt, success: true, bytes: screenshot.length, y: clip.y });
+        break;
+      } catch (screenshotError) {
+        throwIfCancelled(signal);
+        console.warn(`⚠️ Screenshot attempt ${attempt} failed:`, screenshotError.message);
+        reportProgress(job, 'screenshot-attempt', { attempt, success: false, error: screenshotError.message, y: clip.y });
+        
+        if (page._isClosed) throw new Error('Page closed during screenshot');
+        
+        if (attempt === 3) {
+          console.error('❌ All screenshot attempts failed, trying fallback method');
           
-          if (attempt === 3) {
-            console.error('❌ All screenshot attempts failed, trying fallback method');
-            
-            try {
-              if (!page._isClosed) {
-                screenshot = await page.screenshot({ 
-                  type: 'jpeg',
-                  quality: 50,
-                  fullPage: false,
-                  clip: {x:0, y:0, width:800, height:600}
-                });
-                console.log('✅ Fallback screenshot captured with reduced parameters');
-              } else {
-                throw new Error('Page closed during fallback screenshot');
-              }
-            } catch (fallbackError) {
-              console.error('❌ Fallback screenshot also failed:', fallbackError.message);
-              throw screenshotError;
+          try {
+            if (!page._isClosed) {
+              screenshot = await page.screenshot({ 
+                type: capture.format,
+                ...quality(Math.min(50, capture.quality)),
+                fullPage: false,
+                // Same origin so a captureSelector region keeps the price in frame
+                clip: { x: clip.x, y: clip.y, width: Math.min(800, clip.width), height: Math.min(600, clip.height) }
+              });
+              console.log('✅ Fallback screenshot captured with reduced parameters');
+              reportProgress(job, 'screenshot-attempt', { attempt: 'fallback', success: true, bytes: screenshot.length, y: clip.y });
+            } else {
+              throw new Error('Page closed during fallback screenshot');
             }
-          } else {
-            await waitSafely(page, 3000);
+          } catch (fallbackError) {
+            console.error('❌ Fallback screenshot also failed:', fallbackError.message);
+            throw screenshotError;
           }
+        } else {
+          await waitSafely(page, 3000);
         }
       }
-      
-      if (screenshot) {
-        return { data: screenshot, type: 'image/jpeg' };
-      } else {
-        throw new Error('Failed to capture screenshot after multiple attempts');
+    }
+    
+    if (!screenshot) {
+      throw new Error('Failed to capture screenshot after multiple attempts');
+    }
+    return screenshot;
+  }
+
+  // Cancellation checkpoint for long scrape flows
+  function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+      throw signal.reason instanceof Error ? signal.reason : new Error('Job cancelled');
+    }
+  }
+
+  // Race a page operation against cancellation so we don't wait out its timeout
+  function cancellable(signal, promise) {
+    if (!signal) return promise;
+    throwIfCancelled(signal);
+    
+    let onAbort;
+    const aborted = new Promise((_, reject) => {
+      onAbort = () => reject(signal.reason instanceof Error ? signal.reason : new Error('Job cancelled'));
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+    
+    return Promise.race([promise, aborted]).finally(() => {
+      signal.removeEventListener('abort', onAbort);
+    });
+  }
+
+  // Stop whatever the page is loading (used when its job is cancelled)
+  async function stopPageLoading(page) {
+    if (!page || page._isClosed) return;
+    
+    try {
+      const client = await page.createCDPSession();
+      await client.send('Page.stopLoading');
+      await client.detach();
+    } catch (e) {
+      console.warn(`Stop loading failed for ${page._poolId}: ${e.message}`);
+    }
+  }
+
+  // Full price scraper with login support (from your original server)
+  async function priceScraper(page, context, job = null) {
+    const { url, loginInstructions = [], credentials = {} } = context;
+    // Every response says whether a login ran and why it did or didn't take
+    let login = skippedLogin(url, loginInstructions, credentials);
+    
+    // URL validation
+    if (!url || !isValidUrl(url)) {
+      console.error(`Invalid URL provided: ${url}`);
+      return { 
+        data: JSON.stringify({ 
+          success: false, 
+          error: `Invalid URL: ${url}. URL must start with http:// or https://`,
+          login
+        }), 
+        type: 'application/json' 
+      };
+    }
+    
+    if (page._isClosed) {
+      console.error(`Page ${page._poolId} closed before scraping could begin`);
+      return {
+        data: JSON.stringify({
+          success: false,
+          error: "Page was closed before scraping could begin",
+          login
+        }),
+        type: 'application/json'
+      };
+    }
+    
+    console.log(`🔍 Scraping ${url} with login support using page ${page._poolId}`);
+
+    try {
+      reportProgress(job, 'configuring');
+      await configurePage(page, captureOptionsFor(context));
+
+      const loginSite = findLoginSite(url, loginInstructions);
+      reportProgress(job, 'login-site', {
+        site: loginSite ? loginSite.site : null,
+        hasCredentials: !!(loginSite && credentials[loginSite.site.toLowerCase()])
+      });
+
+      // PERFORM LOGIN if credentials available
+      if (loginSite && credentials[loginSite.site.toLowerCase()]) {
+        login = await performLogin(page, loginSite, credentials, job);
+        if (job) job.login = login;
       }
 
+      // NAVIGATE TO TARGET URL (after login if applicable)
+      const result = await captureTargetPage(page, context, job, job && job.signal, login);
+      result.extras.login = login;
+      return result;
     } catch (error) {
       console.error(`❌ Scrape error: ${error.message}`);
-      return { data: JSON.stringify({ success: false, error: error.message }), type: 'application/json' };
+      return { data: JSON.stringify({ success: false, error: error.message, login }), type: 'application/json' };
     }
   }
 
-  // Main scrape job handler for n8n
-  async function runScrapeJob(context) {
-    requestCount++;
-    const jobId = `login_req_${requestCount}`;
+  // Per-job memory housekeeping - counts `count` requests toward the restart thresholds
+  function prepareForRequests(count = 1) {
+    const previousCount = requestCount;
+    requestCount += count;
     
     // Force GC periodically
-    if (requestCount % MEMORY_LIMITS.GC_FREQUENCY === 0) {
+    if (Math.floor(requestCount / MEMORY_LIMITS.GC_FREQUENCY) > Math.floor(previousCount / MEMORY_LIMITS.GC_FREQUENCY)) {
       if (typeof global.gc === 'function') {
         global.gc();
         console.log(`🧹 Forced GC after ${requestCount} requests`);
@@ -779,110 +3410,506 @@ async function dismissCookies(page) {
       }, 100);
     }
     
+    return `login_req_${requestCount}`;
+  }
+
+  async function acquirePage() {
+    const page = await pagePool.acquire();
+    page._inUse = true;
+    page._lastActivity = Date.now();
+    return page;
+  }
+
+  // `cancelled` resets the page first so leftover loads don't bleed into the next job
+  async function releasePage(page, jobId, cancelled = false) {
+    if (!page || page._isClosed) return;
+    
+    try {
+      page._inUse = false;
+      page._lastActivity = Date.now();
+      
+      if (cancelled) {
+        await page.goto('about:blank', { timeout: 5000 }).catch(() => {});
+      }
+      
+      // Minimal cleanup
+      await page.evaluate(() => {
+        try {
+          if (typeof window.gc === 'function') window.gc();
+        } catch(e) {}
+      }).catch(() => {});
+      
+      await pagePool.release(page);
+    } catch (e) {
+      console.error(`${jobId} cleanup error: ${e.message}`);
+    }
+  }
+
+  // OCR pass over a captured screenshot - runs after the page is released so it never holds the pool
+  async function ocrScreenshot(image, job = null, signal = job && job.signal) {
+    const startTime = Date.now();
+    reportProgress(job, 'ocr');
+    
+    try {
+      const { text, confidence, lines } = await cancellable(signal, recognizeScreenshot(image));
+      const prices = findOcrPrices(lines);
+      console.log(`🔤 OCR found ${prices.length} price-like token(s) in ${Date.now() - startTime}ms`);
+      
+      return { text, confidence, prices, processingTime: Date.now() - startTime };
+    } catch (error) {
+      throwIfCancelled(signal);
+      console.warn('⚠️ OCR failed:', error.message);
+      return { error: error.message };
+    }
+  }
+
+  // Main scrape job handler for n8n
+  async function runScrapeJob(context, job = null) {
+    const jobId = prepareForRequests();
+    
     if (!context.url || !isValidUrl(context.url)) {
       return { 
         data: JSON.stringify({ 
           success: false, 
-          error: `Invalid URL: ${context.url}` 
+          error: `Invalid URL: ${context.url}`,
+          login: skippedLogin(context.url, context.loginInstructions, context.credentials)
         }), 
         type: 'application/json' 
       };
     }
     
     let page = null;
-    let pageAcquired = false;
+    let result = null;
+    const signal = job && job.signal;
+    const onAbort = () => stopPageLoading(page);
     
     try {
-      page = await pagePool.acquire();
-      pageAcquired = true;
-      page._inUse = true;
-      page._lastActivity = Date.now();
+      throwIfCancelled(signal);
+      page = await acquirePage();
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
       
-      const result = await priceScraper(page, context);
-      return result;
+      result = await priceScraper(page, context, job);
     } catch (error) {
       console.error(`${jobId} error: ${error.message}`);
       return { 
-        data: JSON.stringify({ success: false, error: error.message }), 
+        data: JSON.stringify({
+          success: false,
+          error: error.message,
+          login: skippedLogin(context.url, context.loginInstructions, context.credentials)
+        }), 
         type: 'application/json' 
       };
     } finally {
-      if (pageAcquired && page && !page._isClosed) {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      await releasePage(page, jobId, !!(signal && signal.aborted));
+    }
+    
+    if (context.ocr && result.data && result.type.startsWith('image/')) {
+      result.extras.ocr = await ocrScreenshot(result.data, job);
+    }
+    
+    return result;
+  }
+
+  // Batch handler - logs in once for the group, then captures every URL on the same page
+  async function runBatchGroup(group, context, signal = null) {
+    const { credentials = {} } = context;
+    const jobId = prepareForRequests(group.items.length);
+    const results = [];
+    let page = null;
+    let login = null;
+    const onAbort = () => stopPageLoading(page);
+    
+    try {
+      throwIfCancelled(signal);
+      page = await acquirePage();
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      await configurePage(page, captureOptionsFor({ ...context, url: group.items[0].url }));
+      
+      if (group.loginSite) {
+        login = await performLogin(page, group.loginSite, credentials, null, signal);
+      }
+      
+      for (const item of group.items) {
+        const startTime = Date.now();
+        
         try {
-          page._inUse = false;
-          page._lastActivity = Date.now();
+          if (page._isClosed) throw new Error('Page closed during batch');
           
-          // Minimal cleanup
-          await page.evaluate(() => {
-            try {
-              if (typeof window.gc === 'function') window.gc();
-            } catch(e) {}
-          }).catch(() => {});
-          
-          await pagePool.release(page);
-        } catch (e) {
-          console.error(`${jobId} cleanup error: ${e.message}`);
+          const result = await captureTargetPage(page, { ...context, url: item.url }, null, signal, login);
+          result.extras.login = login || skippedLogin(item.url, context.loginInstructions, credentials);
+          results.push({ ...item, body: buildScrapeResponse(result, startTime).body });
+        } catch (error) {
+          console.error(`${jobId} batch item ${item.url} error: ${error.message}`);
+          results.push({ ...item, body: {
+            success: false,
+            error: error.message,
+            login: login || skippedLogin(item.url, context.loginInstructions, credentials)
+          } });
         }
+        
+        // Once the page is gone (or the client is) every remaining item would fail the same way
+        if (page._isClosed || (signal && signal.aborted)) break;
+      }
+      
+      console.log(`📦 Batch group ${group.key}: ${results.length}/${group.items.length} processed` +
+        (login ? `, login ${login.succeeded ? 'succeeded' : 'unconfirmed'} (${login.reason})` : ''));
+    } catch (error) {
+      console.error(`${jobId} batch error: ${error.message}`);
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      await releasePage(page, jobId, !!(signal && signal.aborted));
+    }
+    
+    // Anything not reached (page closed, acquire failed) is reported as failed
+    for (const item of group.items.slice(results.length)) {
+      results.push({ ...item, body: {
+        success: false,
+        error: 'Batch group aborted before this URL was processed',
+        login: login || skippedLogin(item.url, context.loginInstructions, credentials)
+      } });
+    }
+    
+    if (context.ocr) {
+      for (const { body } of results) {
+        if (!body.success || !body.imageBase64 || (signal && signal.aborted)) continue;
+        body.ocr = await ocrScreenshot(Buffer.from(body.imageBase64, 'base64'), null, signal).catch(err => ({ error: err.message }));
       }
     }
+    
+    return results;
   }
 
-  // Routes
-  app.post('/scrape', async (req, res) => {
+  // Run a whole batch - each login group goes through the queue - and build the response body
+  async function runBatch(context, signal) {
     const startTime = Date.now();
+    const { urls, loginInstructions = [], credentials = {} } = context;
     
-    try {
-      if (!req.body.url) {
-        return res.status(400).json({ success: false, error: "URL required" });
-      }
-      
-      if (!isValidUrl(req.body.url)) {
-        return res.status(400).json({ 
-          success: false, 
-          error: `Invalid URL: ${req.body.url}` 
-        });
+    const results = new Array(urls.length);
+    const entries = [];
+    
+    urls.forEach((url, index) => {
+      if (isValidUrl(url)) {
+        entries.push({ index, url });
+      } else {
+        results[index] = {
+          url,
+          success: false,
+          error: `Invalid URL: ${url}`,
+          login: skippedLogin(url, loginInstructions, credentials)
+        };
       }
+    });
+    
+    const groups = groupBatchUrls(entries, loginInstructions, credentials);
+    console.log(`📦 Batch of ${urls.length} URLs in ${groups.length} login group(s)`);
+    
+    await Promise.all(groups.map(group => 
+      addToLane(context.priority || DEFAULT_LANE, () => runBatchGroup(group, context, signal), {
+        timeout: MEMORY_LIMITS.REQUEST_TIMEOUT * (group.items.length + 1),
+        signal
+      })
+        .then((groupResults) => {
+          for (const { index, url, body } of groupResults) {
+            results[index] = { url, loginSite: group.loginSite ? group.loginSite.site : null, ...body };
+          }
+        })
+        .catch((err) => {
+          console.error(`Batch group ${group.key} failed: ${err.message}`);
+          if (!signal.aborted) restartOnFatalError(err);
+          for (const { index, url } of group.items) {
+            results[index] = {
+              url,
+              loginSite: group.loginSite ? group.loginSite.site : null,
+              success: false,
+              error: err.message,
+              login: skippedLogin(url, loginInstructions, credentials)
+            };
+          }
+        })
+    ));
+    
+    const succeeded = results.filter(r => r.success).length;
+    
+    return {
+      success: succeeded === results.length,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      processingTime: Date.now() - startTime,
+      results
+    };
+  }
+
+  // Convert a runScrapeJob result into the HTTP status and JSON body n8n expects
+  function buildScrapeResponse(result, startTime) {
+    // 'snapshot' = outputs without a screenshot
+    if (result.type.startsWith('image/') || result.type === 'snapshot') {
+      const image = result.data ? { mimeType: result.type, imageBase64: result.data.toString('base64') } : {};
+      const duration = Date.now() - startTime;
+      // A capture can still fail the request - e.g. the price is hidden despite a login (extras.error)
+      const failed = !!(result.extras && result.extras.error);
       
-      const result = await queue.add(() => runScrapeJob(req.body));
-      
-      if (result.type.startsWith('image/')) {
-        const imageBase64 = result.data.toString('base64');
-        const duration = Date.now() - startTime;
-        
-        return res.json({ 
-          success: true, 
-          mimeType: result.type, 
-          imageBase64,
+      return {
+        statusCode: failed ? 400 : 200,
+        body: { 
+          success: !failed, 
+          ...image,
+          ...result.extras,
           processingTime: duration,
           requestNumber: requestCount,
-          loginSupported: true
+          loginSupported: true,
+          cached: false,
+          capturedAt: new Date().toISOString()
+        }
+      };
+    }
+    
+    if (result.type === 'application/json') {
+      const errorData = JSON.parse(result.data);
+      return { statusCode: errorData.success ? 200 : 400, body: errorData };
+    }
+    
+    return {
+      statusCode: 400,
+      body: { 
+        success: false, 
+        error: 'Unexpected result type' 
+      }
+    };
+  }
+
+  // Auto-restart on certain queue errors
+  function restartOnFatalError(err) {
+    if (err.message.includes('timeout') || 
+        err.message.includes('memory') ||
+        err.message.includes('Target closed')) {
+      setTimeout(handleBrowserCrash, 100);
+    }
+  }
+
+  // Validate a request body against its published schema.
+  // Returns null, or a 400 body listing every problem as { code, path, message }
+  function validateRequestBody(kind, body) {
+    const validate = requestSchemas.validators[kind];
+    const errors = validate(body)
+      ? [...validateValueKeys(body), ...validateCaptureLimits(body), ...validateCallbackSecret(body)]
+      : formatValidationErrors(validate.errors);
+    
+    if (errors.length === 0) return null;
+    
+    return {
+      success: false,
+      error: errors[0].message,
+      code: 'VALIDATION_FAILED',
+      errors
+    };
+  }
+
+  // Idempotency-Key header checks shared by /scrape and /jobs
+  function validateIdempotencyKey(body, idempotencyKey) {
+    if (idempotencyKey === undefined) return null;
+    
+    if (!idempotencyKey || idempotencyKey.length > 255) {
+      return { statusCode: 400, error: 'Idempotency-Key must be 1-255 characters' };
+    }
+    
+    if (idempotencyKeyConflicts(body, idempotencyKey)) {
+      return { 
+        statusCode: 422, 
+        error: `Idempotency-Key ${idempotencyKey} was already used for a different request` 
+      };
+    }
+    
+    return null;
+  }
+
+  // Routes
+  app.post('/scrape', async (req, res) => {
+    try {
+      const validationError = validateRequestBody('scrape', req.body);
+      if (validationError) {
+        return res.status(400).json({ ...validationError, login: rejectedLogin(req.body) });
+      }
+      
+      const idempotencyKey = req.get('Idempotency-Key');
+      const keyError = validateIdempotencyKey(req.body, idempotencyKey);
+      if (keyError) {
+        return res.status(keyError.statusCode).json({
+          success: false,
+          error: keyError.error,
+          login: rejectedLogin(req.body)
         });
       }
       
-      if (result.type === 'application/json') {
-        const errorData = JSON.parse(result.data);
-        return res.status(errorData.success ? 200 : 400).json(errorData);
+      // Every scrape is journaled, so a restart resumes it and the result stays
+      // retrievable via GET /jobs/:id even if this connection is gone by then
+      const { job, deduplicated } = await enqueueJob(req.body, idempotencyKey);
+      
+      // With a callbackUrl the result is POSTed later - don't hold the connection open
+      if (job.callback) {
+        job.detached = true;
+        return res.status(202).json(jobAcceptedResponse(job, deduplicated));
       }
       
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Unexpected result type' 
+      // Cancel once nobody is waiting any more (n8n timed out / dropped the connection)
+      job.waiters++;
+      res.on('close', () => {
+        job.waiters--;
+        if (!res.writableFinished && job.waiters === 0 && !job.detached) {
+          cancelJob(job, 'client disconnected');
+        }
       });
+      
+      const { statusCode, body } = await jobOutcome(job);
+      if (res.writableEnded || res.destroyed) return;
+      return res.status(statusCode).json({ ...body, jobId: job.id, deduplicated });
     } catch (err) {
       console.error(`Request failed: ${err.message}`);
       
-      // Auto-restart on certain errors
-      if (err.message.includes('timeout') || 
-          err.message.includes('memory') ||
-          err.message.includes('Target closed')) {
-        setTimeout(handleBrowserCrash, 100);
+      return res.status(500).json({ 
+        success: false, 
+        error: err.message,
+        login: rejectedLogin(req.body)
+      });
+    }
+  });
+
+  // Batch scrape - one login per supplier, one result per URL (in request order).
+  // With a callbackUrl it runs as a job instead, so a long batch outlives the connection
+  app.post('/scrape/batch', async (req, res) => {
+    const validationError = validateRequestBody('batch', req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    if (req.body.callbackUrl) {
+      const idempotencyKey = req.get('Idempotency-Key');
+      const keyError = validateIdempotencyKey(req.body, idempotencyKey);
+      if (keyError) {
+        return res.status(keyError.statusCode).json({ success: false, error: keyError.error });
       }
       
-      return res.status(500).json({ 
+      const { job, deduplicated } = await enqueueJob(req.body, idempotencyKey);
+      job.detached = true;
+      return res.status(202).json(jobAcceptedResponse(job, deduplicated));
+    }
+    
+    // Client gone (n8n timeout) - drop queued groups and stop the running one
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        abortController.abort(new Error('Batch cancelled: client disconnected'));
+      }
+    });
+    
+    const body = await runBatch(req.body, abortController.signal);
+    if (abortController.signal.aborted) return;
+    
+    return res.json(body);
+  });
+
+  // Async job submission - returns immediately so tunnels/n8n can't time out.
+  // A body with `urls` is a batch job (same body as /scrape/batch)
+  app.post('/jobs', async (req, res) => {
+    const kind = req.body && Array.isArray(req.body.urls) ? 'batch' : 'scrape';
+    const validationError = validateRequestBody(kind, req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    const idempotencyKey = req.get('Idempotency-Key');
+    const keyError = validateIdempotencyKey(req.body, idempotencyKey);
+    if (keyError) {
+      return res.status(keyError.statusCode).json({ success: false, error: keyError.error });
+    }
+    
+    const { job, deduplicated } = await enqueueJob(req.body, idempotencyKey);
+    job.detached = true; // Polled later, so a dropped connection must not cancel it
+    return res.status(202).json(jobAcceptedResponse(job, deduplicated));
+  });
+
+  // Job status polling
+  app.get('/jobs/:id', async (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+    }
+    
+    res.json(await serializeJob(job));
+  });
+
+  // Explicit cancellation
+  app.delete('/jobs/:id', async (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+    }
+    
+    if (!cancelJob(job, 'cancelled via DELETE /jobs/:id')) {
+      return res.status(409).json({ 
         success: false, 
-        error: err.message 
+        error: `Job already ${job.status}`,
+        status: job.status
       });
     }
+    
+    await job.completion;
+    await job.finishing;
+    res.json({ success: true, jobId: job.id, status: job.status });
+  });
+
+  // Live progress stream (Server-Sent Events) for ops dashboards
+  app.get('/jobs/:id/events', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    const send = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ time: event.time, ...event.data })}\n\n`);
+    };
+    
+    // Replay history (or just what the client missed on reconnect)
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+    job.events.filter(event => event.id > lastEventId).forEach(send);
+    
+    if (isJobFinished(job)) {
+      return res.end();
+    }
+    
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), MEMORY_LIMITS.SSE_HEARTBEAT);
+    
+    const onEvent = (event) => {
+      send(event);
+      if (event.type === 'end') cleanup();
+    };
+    
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      jobEvents.off(job.id, onEvent);
+      res.end();
+    };
+    
+    jobEvents.on(job.id, onEvent);
+    req.on('close', cleanup);
+  });
+
+  // Published request schemas - what /scrape, /jobs and /scrape/batch validate against
+  app.get('/schemas/:file', (req, res) => {
+    const schema = Object.values(requestSchemas.schemas).find(s => s.$id === req.params.file);
+    if (!schema) {
+      return res.status(404).json({ success: false, error: `Unknown schema: ${req.params.file}` });
+    }
+    res.type('application/schema+json').send(JSON.stringify(schema, null, 2));
   });
 
   // Health check for n8n monitoring
@@ -901,7 +3928,7 @@ async function dismissCookies(page) {
       restarting: isRestarting,
       uptime: Math.round(process.uptime()),
       loginSupported: true,
-      features: ['login', 'price-scraping', 'memory-optimized']
+      features: ['login', 'price-scraping', 'memory-optimized', 'async-jobs', 'batch', 'callbacks', 'job-events', 'durable-jobs', 'idempotency', 'screenshot-cache', 'cancellation', 'priority-lanes', 'request-schema', 'price-extraction', 'structured-product', 'ocr', 'availability', 'unit-normalization', 'tier-pricing', 'capture-selector', 'capture-modes', 'image-options', 'snapshot-outputs', 'price-highlight', 'product-match', 'price-state', 'login-steps', 'login-criteria']
     });
   });
 
@@ -913,12 +3940,29 @@ async function dismissCookies(page) {
       memory: getMemoryStats(),
       queue: {
         waiting: queue.size,
-        processing: queue.pending
+        processing: queue.pending,
+        lanes: laneStats(),
+        concurrency: TOTAL_SLOTS,
+        bulkSlots,
+        interactiveReservedSlots: MEMORY_LIMITS.INTERACTIVE_RESERVED_SLOTS
+      },
+      jobs: jobs.size,
+      jobStore: JOB_STORE.JOURNAL,
+      cache: cacheStats(),
+      captureLimits: {
+        maxViewportWidth: MEMORY_LIMITS.MAX_VIEWPORT_WIDTH,
+        maxViewportHeight: MEMORY_LIMITS.MAX_VIEWPORT_HEIGHT,
+        maxDeviceScaleFactor: MEMORY_LIMITS.MAX_DEVICE_SCALE_FACTOR,
+        maxCaptureHeight: MEMORY_LIMITS.MAX_CAPTURE_HEIGHT
       },
+      ocrWorker: ocrChild ? { pid: ocrChild.pid, pending: ocrPending.size } : null,
       loginCapable: true
     });
   });
 
+  await loadCacheIndex();
+  await restoreJobs();
+
   // Memory monitoring with aggressive restart
   setInterval(async () => {
     const mem = getMemoryStats();
@@ -945,6 +3989,10 @@ async function dismissCookies(page) {
     try {
       const url = await connectToNgrok();
       console.log(`🌐 Available for n8n at: ${url}/scrape`);
+      console.log(`📋 Async jobs: POST ${url}/jobs, poll GET ${url}/jobs/:id`);
+      if (!process.env.CALLBACK_SECRET) {
+        console.log('⚠️ CALLBACK_SECRET not set - requests with a callbackUrl will be rejected');
+      }
       console.log(`💡 Send login instructions & credentials in request body`);
     } catch (err) {
       console.error('❌ ngrok error:', err);
@@ -958,11 +4006,18 @@ async function dismissCookies(page) {
     server.close();
     queue.pause();
     
+    // Waiting jobs are journaled and resume on the next start - only finish running ones
     if (queue.pending > 0) {
       console.log('⏳ Waiting for current requests to finish...');
-      await queue.onIdle();
+      while (queue.pending > 0) {
+        await new Promise(r => setTimeout(r, 500));
+      }
     }
     
+    await Promise.all([...jobs.values()].map(job => job.finishing));
+    await flushJournal();
+    stopOcrWorker();
+    
     if (pagePool) {
       await pagePool.drain().catch(() => {});
       await pagePool.clear().catch(() => {});
@@ -985,6 +4040,7 @@ async function dismissCookies(page) {
         error.message.includes('allocation failed') ||
         error.message.includes('Maximum call stack')) {
       console.log('🔄 Fatal memory error, forcing restart');
+      await flushJournal();
       process.exit(1); // Let process manager restart us
     } else {
       await handleBrowserCrash();